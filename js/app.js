@@ -1,22 +1,235 @@
 class PresetManager {
-  constructor() {
-    this.presets = {
-      'youtube': { width: 1280, height: 720, name: 'YouTube', ratio: '16:9' },
-      'instagram': { width: 1080, height: 1080, name: 'Instagram Post', ratio: '1:1' },
-      'instagram-story': { width: 1080, height: 1920, name: 'Instagram Story', ratio: '9:16' },
-      'tiktok': { width: 1080, height: 1920, name: 'TikTok', ratio: '9:16' },
-      'twitter': { width: 1200, height: 675, name: 'Twitter/X', ratio: '16:9' },
-      'facebook': { width: 1200, height: 630, name: 'Facebook', ratio: '1.91:1' },
-      'linkedin': { width: 1200, height: 627, name: 'LinkedIn', ratio: '1.91:1' },
-      'custom': { width: 1920, height: 1080, name: 'Custom', ratio: '16:9' }
+  constructor(storageKey = 'thumbcraft-presets') {
+    this.storageKey = storageKey;
+    this.builtIn = {
+      'youtube': {
+        width: 1280, height: 720, name: 'YouTube', label: 'YouTube', icon: 'youtube', ratio: '16:9',
+        rules: { maxBytes: 2 * 1024 * 1024, minWidth: 640, minHeight: 360, formats: ['jpeg', 'png'], minRatio: 16 / 9, maxRatio: 16 / 9 },
+        safeZones: [
+          { label: 'Hover icons', x: 0.9, y: 0.03, width: 0.08, height: 0.3 },
+          { label: 'Duration', x: 0.84, y: 0.85, width: 0.14, height: 0.11 },
+          { label: 'Progress bar', x: 0, y: 0.97, width: 1, height: 0.03 }
+        ]
+      },
+      'instagram': {
+        width: 1080, height: 1080, name: 'Instagram Post', label: 'Instagram', icon: 'instagram', ratio: '1:1',
+        rules: { maxBytes: 8 * 1024 * 1024, minWidth: 320, formats: ['jpeg', 'png'], minRatio: 4 / 5, maxRatio: 1.91 },
+        safeZones: [
+          { label: 'Grid crop', x: 0, y: 0, width: 0.125, height: 1 },
+          { label: 'Grid crop', x: 0.875, y: 0, width: 0.125, height: 1 }
+        ]
+      },
+      'instagram-story': {
+        width: 1080, height: 1920, name: 'Instagram Story', label: 'Story', icon: 'instagram', ratio: '9:16',
+        rules: { maxBytes: 30 * 1024 * 1024, minWidth: 600, formats: ['jpeg', 'png'], minRatio: 9 / 16, maxRatio: 9 / 16 },
+        safeZones: [
+          { label: 'Profile & progress', x: 0, y: 0, width: 1, height: 0.13 },
+          { label: 'Reply bar', x: 0, y: 0.82, width: 1, height: 0.18 }
+        ]
+      },
+      'tiktok': {
+        width: 1080, height: 1920, name: 'TikTok', label: 'TikTok', icon: 'tiktok', ratio: '9:16',
+        rules: { minWidth: 720, minHeight: 1280, formats: ['jpeg', 'png', 'webp'], minRatio: 9 / 16, maxRatio: 9 / 16 },
+        safeZones: [
+          { label: 'Tabs', x: 0, y: 0, width: 1, height: 0.08 },
+          { label: 'Actions', x: 0.85, y: 0.4, width: 0.15, height: 0.45 },
+          { label: 'Caption & sound', x: 0, y: 0.8, width: 0.82, height: 0.2 }
+        ]
+      },
+      'twitter': {
+        width: 1200, height: 675, name: 'Twitter/X', label: 'Twitter/X', icon: 'twitter', ratio: '16:9',
+        rules: { maxBytes: 5 * 1024 * 1024, minWidth: 600, minHeight: 335, formats: ['jpeg', 'png', 'webp'] }
+      },
+      'facebook': {
+        width: 1200, height: 630, name: 'Facebook', label: 'Facebook', icon: 'facebook', ratio: '1.91:1',
+        rules: { maxBytes: 8 * 1024 * 1024, minWidth: 600, minHeight: 315, formats: ['jpeg', 'png'], minRatio: 1.91, maxRatio: 1.91 }
+      },
+      'linkedin': {
+        width: 1200, height: 627, name: 'LinkedIn', label: 'LinkedIn', icon: 'linkedin', ratio: '1.91:1',
+        rules: { maxBytes: 5 * 1024 * 1024, minWidth: 1200, minHeight: 627, formats: ['jpeg', 'png'], minRatio: 1.91, maxRatio: 1.91 }
+      },
+      'custom': { width: 1920, height: 1080, name: 'Custom', label: 'Custom', icon: 'custom', ratio: '16:9' }
     };
+    this.icons = {
+      'youtube': '<svg class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor"><path d="M23.498 6.186a3.016 3.016 0 0 0-2.122-2.136C19.505 3.545 12 3.545 12 3.545s-7.505 0-9.377.505A3.017 3.017 0 0 0 .502 6.186C0 8.07 0 12 0 12s0 3.93.502 5.814a3.016 3.016 0 0 0 2.122 2.136c1.871.505 9.376.505 9.376.505s7.505 0 9.377-.505a3.015 3.015 0 0 0 2.122-2.136C24 15.93 24 12 24 12s0-3.93-.502-5.814zM9.545 15.568V8.432L15.818 12l-6.273 3.568z"/></svg>',
+      'instagram': '<svg class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor"><path d="M12 2.163c3.204 0 3.584.012 4.85.07 3.252.148 4.771 1.691 4.919 4.919.058 1.265.069 1.645.069 4.849 0 3.205-.012 3.584-.069 4.849-.149 3.225-1.664 4.771-4.919 4.919-1.266.058-1.644.07-4.85.07-3.204 0-3.584-.012-4.849-.07-3.26-.149-4.771-1.699-4.919-4.92-.058-1.265-.07-1.644-.07-4.849 0-3.204.013-3.583.07-4.849.149-3.227 1.664-4.771 4.919-4.919 1.266-.057 1.645-.069 4.849-.069zm0-2.163c-3.259 0-3.667.014-4.947.072-4.358.2-6.78 2.618-6.98 6.98-.059 1.281-.073 1.689-.073 4.948 0 3.259.014 3.668.072 4.948.2 4.358 2.618 6.78 6.98 6.98 1.281.058 1.689.072 4.948.072 3.259 0 3.668-.014 4.948-.072 4.354-.2 6.782-2.618 6.979-6.98.059-1.28.073-1.689.073-4.948 0-3.259-.014-3.667-.072-4.947-.196-4.354-2.617-6.78-6.979-6.98-1.281-.059-1.69-.073-4.949-.073zm0 5.838c-3.403 0-6.162 2.759-6.162 6.162s2.759 6.163 6.162 6.163 6.162-2.759 6.162-6.163c0-3.403-2.759-6.162-6.162-6.162zm0 10.162c-2.209 0-4-1.79-4-4 0-2.209 1.791-4 4-4s4 1.791 4 4c0 2.21-1.791 4-4 4zm6.406-11.845c-.796 0-1.441.645-1.441 1.44s.645 1.44 1.441 1.44c.795 0 1.439-.645 1.439-1.44s-.644-1.44-1.439-1.44z"/></svg>',
+      'tiktok': '<svg class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor"><path d="M12.525.02c1.31-.02 2.61-.01 3.91-.02.08 1.53.63 3.09 1.75 4.17 1.12 1.11 2.7 1.62 4.24 1.79v4.03c-1.44-.05-2.89-.35-4.2-.97-.57-.26-1.1-.59-1.62-.93-.01 2.92.01 5.84-.02 8.75-.08 1.4-.54 2.79-1.35 3.94-1.31 1.92-3.58 3.17-5.91 3.21-1.43.08-2.86-.31-4.08-1.03-2.02-1.19-3.44-3.37-3.65-5.71-.02-.5-.03-1-.01-1.49.18-1.9 1.12-3.72 2.58-4.96 1.66-1.44 3.98-2.13 6.15-1.72.02 1.48-.04 2.96-.04 4.44-.99-.32-2.15-.23-3.02.37-.63.41-1.11 1.04-1.36 1.75-.21.51-.15 1.07-.14 1.61.24 1.64 1.82 3.02 3.5 2.87 1.12-.01 2.19-.66 2.77-1.61.19-.33.4-.67.41-1.06.1-1.79.06-3.57.07-5.36.01-4.03-.01-8.05.02-12.07z"/></svg>',
+      'twitter': '<svg class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor"><path d="M18.244 2.25h3.308l-7.227 8.26 8.502 11.24H16.17l-5.214-6.817L4.99 21.75H1.68l7.73-8.835L1.254 2.25H8.08l4.713 6.231zm-1.161 17.52h1.833L7.084 4.126H5.117z"/></svg>',
+      'facebook': '<svg class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor"><path d="M24 12.073c0-6.627-5.373-12-12-12s-12 5.373-12 12c0 5.99 4.388 10.954 10.125 11.854v-8.385H7.078v-3.47h3.047V9.43c0-3.007 1.792-4.669 4.533-4.669 1.312 0 2.686.235 2.686.235v2.953H15.83c-1.491 0-1.956.925-1.956 1.874v2.25h3.328l-.532 3.47h-2.796v8.385C19.612 23.027 24 18.062 24 12.073z"/></svg>',
+      'linkedin': '<svg class="w-5 h-5" viewBox="0 0 24 24" fill="currentColor"><path d="M20.447 20.452h-3.554v-5.569c0-1.328-.027-3.037-1.852-3.037-1.853 0-2.136 1.445-2.136 2.939v5.667H9.351V9h3.414v1.561h.046c.477-.9 1.637-1.85 3.37-1.85 3.601 0 4.267 2.37 4.267 5.455v6.286zM5.337 7.433c-1.144 0-2.063-.926-2.063-2.065 0-1.138.92-2.063 2.063-2.063 1.14 0 2.064.925 2.064 2.063 0 1.139-.925 2.065-2.064 2.065zm1.782 13.019H3.555V9h3.564v11.452zM22.225 0H1.771C.792 0 0 .774 0 1.729v20.542C0 23.227.792 24 1.771 24h20.451C23.2 24 24 23.227 24 22.271V1.729C24 .774 23.2 0 22.222 0h.003z"/></svg>',
+      'custom': '<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M10.325 4.317c.426-1.756 2.924-1.756 3.35 0a1.724 1.724 0 002.573 1.066c1.543-.94 3.31.826 2.37 2.37a1.724 1.724 0 001.065 2.572c1.756.426 1.756 2.924 0 3.35a1.724 1.724 0 00-1.066 2.573c.94 1.543-.826 3.31-2.37 2.37a1.724 1.724 0 00-2.572 1.065c-.426 1.756-2.924 1.756-3.35 0a1.724 1.724 0 00-2.573-1.066c-1.543.94-3.31-.826-2.37-2.37a1.724 1.724 0 00-1.065-2.572c-1.756-.426-1.756-2.924 0-3.35a1.724 1.724 0 001.066-2.573c-.94-1.543.826-3.31 2.37-2.37.996.608 2.296.07 2.572-1.065z"></path><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M15 12a3 3 0 11-6 0 3 3 0 016 0z"></path></svg>',
+      'preset': '<svg class="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6a2 2 0 012-2h12a2 2 0 012 2v12a2 2 0 01-2 2H6a2 2 0 01-2-2V6z"></path><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M8 4v16M4 9h4"></path></svg>'
+    };
+    this.formats = ['png', 'jpeg', 'webp'];
+    this.customPresets = this.load();
+    this.presets = this.buildPresets();
     this.currentPreset = 'youtube';
   }
 
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  persist() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.customPresets));
+    this.presets = this.buildPresets();
+  }
+
+  buildPresets() {
+    const { custom, ...builtIn } = this.builtIn;
+    const presets = { ...builtIn };
+    this.customPresets.forEach(preset => {
+      presets[preset.key] = { ...preset, label: preset.name, icon: 'preset', isCustom: true };
+    });
+    presets['custom'] = custom;
+    return presets;
+  }
+
   getPreset(name) {
     return this.presets[name] || this.presets['youtube'];
   }
 
+  getEntries() {
+    return Object.entries(this.presets).map(([key, preset]) => ({ key, ...preset }));
+  }
+
+  getCustomEntries() {
+    return this.getEntries().filter(preset => preset.isCustom);
+  }
+
+  getIcon(preset) {
+    return this.icons[preset.icon] || this.icons['preset'];
+  }
+
+  getSafeZoneEntries() {
+    return this.getEntries().filter(preset => preset.safeZones && preset.safeZones.length > 0);
+  }
+
+  findBySize(width, height) {
+    const entry = this.getEntries().find(preset => preset.key !== 'custom' && preset.width === width && preset.height === height);
+    return entry ? entry.key : null;
+  }
+
+  createKey() {
+    return `preset-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  normalize(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Preset must be an object');
+    }
+    
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    const width = parseInt(data.width);
+    const height = parseInt(data.height);
+    if (!name) {
+      throw new Error('Preset needs a name');
+    }
+    if (!(width > 0 && height > 0 && width <= 8192 && height <= 8192)) {
+      throw new Error(`Preset "${name}" needs a size between 1 and 8192 px`);
+    }
+    
+    const format = this.formats.includes(data.format) ? data.format : null;
+    const quality = parseInt(data.quality);
+    
+    return {
+      name,
+      width,
+      height,
+      ratio: this.calculateRatio(width, height),
+      format,
+      quality: quality >= 50 && quality <= 100 ? quality : null,
+      rules: this.normalizeRules(data.rules, width / height)
+    };
+  }
+
+  normalizeRules(rules, ratio) {
+    if (!rules || typeof rules !== 'object') return null;
+    
+    const positive = (value) => {
+      const number = Number(value);
+      return number > 0 ? number : null;
+    };
+    const normalized = {
+      maxBytes: positive(rules.maxBytes),
+      minWidth: positive(rules.minWidth),
+      minHeight: positive(rules.minHeight),
+      formats: Array.isArray(rules.formats) ? rules.formats.filter(format => this.formats.includes(format)) : [],
+      minRatio: rules.lockRatio ? ratio : positive(rules.minRatio),
+      maxRatio: rules.lockRatio ? ratio : positive(rules.maxRatio)
+    };
+    
+    Object.keys(normalized).forEach(key => {
+      if (normalized[key] === null || (key === 'formats' && normalized[key].length === 0)) {
+        delete normalized[key];
+      }
+    });
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
+  addPreset(data) {
+    const preset = { key: this.createKey(), ...this.normalize(data) };
+    this.customPresets.push(preset);
+    this.persist();
+    return preset;
+  }
+
+  updatePreset(key, data) {
+    const index = this.customPresets.findIndex(preset => preset.key === key);
+    if (index === -1) return null;
+    
+    this.customPresets[index] = { key, ...this.normalize(data) };
+    this.persist();
+    return this.customPresets[index];
+  }
+
+  deletePreset(key) {
+    this.customPresets = this.customPresets.filter(preset => preset.key !== key);
+    this.persist();
+  }
+
+  movePreset(key, offset) {
+    const index = this.customPresets.findIndex(preset => preset.key === key);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= this.customPresets.length) return;
+    
+    const [preset] = this.customPresets.splice(index, 1);
+    this.customPresets.splice(target, 0, preset);
+    this.persist();
+  }
+
+  exportPack() {
+    return JSON.stringify({
+      type: 'thumbcraft-presets',
+      version: 1,
+      presets: this.customPresets.map(({ key, ...preset }) => preset)
+    }, null, 2);
+  }
+
+  importPack(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+    
+    const entries = Array.isArray(data) ? data : (data && data.presets);
+    if (!Array.isArray(entries)) {
+      throw new Error('File does not contain a preset pack');
+    }
+    
+    const presets = entries.map(entry => ({ key: this.createKey(), ...this.normalize(entry) }));
+    this.customPresets = this.customPresets.concat(presets);
+    this.persist();
+    return presets;
+  }
+
   calculateRatio(width, height) {
     const gcd = (a, b) => b === 0 ? a : gcd(b, a % b);
     const divisor = gcd(width, height);
@@ -35,8 +248,14 @@ class VideoManager {
     this.video = videoElement;
     this.isLoaded = false;
     this.objectURL = null;
+    this.source = null;
+    this.frameRateDetector = new FrameRateDetector(videoElement);
+    this.frameRate = null;
+    this.defaultFrameRate = 30;
+    this.ready = Promise.resolve();
     this.onLoadCallback = null;
     this.onTimeUpdateCallback = null;
+    this.onFrameRateCallback = null;
     
     this.setupEventListeners();
   }
@@ -51,7 +270,8 @@ class VideoManager {
 
   handleMetadataLoaded() {
     this.isLoaded = true;
-    this.video.play().then(() => this.video.pause());
+    this.frameRate = null;
+    this.ready = this.detectFrameRate();
     if (this.onLoadCallback) {
       this.onLoadCallback({
         width: this.video.videoWidth,
@@ -61,6 +281,62 @@ class VideoManager {
     }
   }
 
+  async detectFrameRate() {
+    const source = this.source;
+    let frameRate = null;
+    
+    if (this.frameRateDetector.isSupported()) {
+      frameRate = await this.frameRateDetector.detect().catch(() => null);
+    } else {
+      await this.video.play().then(() => this.video.pause()).catch(() => {});
+    }
+    
+    if (this.source !== source) return;
+    this.frameRate = frameRate;
+    if (this.onFrameRateCallback) {
+      this.onFrameRateCallback(this.getFrameRate(), frameRate !== null);
+    }
+  }
+
+  getFrameRate() {
+    return this.frameRate || this.defaultFrameRate;
+  }
+
+  getFrame(time = this.video.currentTime) {
+    return Math.floor(time * this.getFrameRate() + 0.001);
+  }
+
+  stepFrame(count) {
+    if (!this.isLoaded) return;
+    
+    const frameRate = this.getFrameRate();
+    const lastFrame = Math.max(0, Math.ceil(this.video.duration * frameRate) - 1);
+    const frame = Math.max(0, Math.min(lastFrame, this.getFrame() + count));
+    
+    this.video.pause();
+    this.video.currentTime = Math.min(this.video.duration, (frame + 0.5) / frameRate);
+  }
+
+  getTimecode(time = this.video.currentTime) {
+    const frameRate = this.getFrameRate();
+    const nominal = Math.round(frameRate);
+    const dropFrame = Math.abs(frameRate - nominal) > 0.001 && nominal % 30 === 0;
+    let frame = this.getFrame(time);
+    
+    if (dropFrame) {
+      const dropped = nominal / 15;
+      const perMinute = nominal * 60 - dropped;
+      const perTenMinutes = perMinute * 10 + dropped;
+      const tens = Math.floor(frame / perTenMinutes);
+      const rest = frame % perTenMinutes;
+      frame += dropped * 9 * tens + (rest > dropped ? dropped * Math.floor((rest - dropped) / perMinute) : 0);
+    }
+    
+    const pad = (value) => String(value).padStart(2, '0');
+    const seconds = Math.floor(frame / nominal);
+    return `${pad(Math.floor(seconds / 3600))}:${pad(Math.floor(seconds / 60) % 60)}:${pad(seconds % 60)}${dropFrame ? ';' : ':'}${pad(frame % nominal)}`;
+  }
+
   handleTimeUpdate() {
     if (this.onTimeUpdateCallback) {
       this.onTimeUpdateCallback({
@@ -82,16 +358,24 @@ class VideoManager {
   loadFromFile(file) {
     this.cleanup();
     this.objectURL = URL.createObjectURL(file);
+    this.source = { type: 'file', name: file.name, url: null };
     this.video.src = this.objectURL;
     this.video.load();
   }
 
   loadFromURL(url) {
     this.cleanup();
+    this.source = { type: 'url', name: url.split('/').pop().split('?')[0] || url, url };
     this.video.src = url;
     this.video.load();
   }
 
+  hasSource(source) {
+    const current = this.source;
+    return Boolean(this.isLoaded && current && source) && current.type === source.type &&
+      current.name === source.name && current.url === source.url;
+  }
+
   cleanup() {
     if (this.objectURL) {
       URL.revokeObjectURL(this.objectURL);
@@ -100,11 +384,71 @@ class VideoManager {
     this.isLoaded = false;
   }
 
+  whenLoaded(timeout = 30000) {
+    if (this.isLoaded) return this.ready;
+    
+    return new Promise((resolve, reject) => {
+      let timer = null;
+      const finish = (error) => {
+        clearTimeout(timer);
+        this.video.removeEventListener('loadedmetadata', onLoad);
+        this.video.removeEventListener('error', onError);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(this.ready);
+        }
+      };
+      const onLoad = () => finish();
+      const onError = () => finish(new Error('Could not load video'));
+      
+      this.video.addEventListener('loadedmetadata', onLoad);
+      this.video.addEventListener('error', onError);
+      timer = setTimeout(() => finish(new Error('Timed out loading video')), timeout);
+    });
+  }
+
   seek(time) {
     if (!this.isLoaded) return;
     this.video.currentTime = Math.max(0, Math.min(time, this.video.duration));
   }
 
+  seekAndWait(time, timeout = 5000) {
+    if (!this.isLoaded) return Promise.resolve();
+    
+    const target = Math.max(0, Math.min(time, this.video.duration));
+    return new Promise((resolve) => {
+      let timer = null;
+      const onSeeked = () => this.waitForFrame().then(done);
+      const done = () => {
+        clearTimeout(timer);
+        this.video.removeEventListener('seeked', onSeeked);
+        resolve();
+      };
+      
+      if (Math.abs(this.video.currentTime - target) < 0.001 && !this.video.seeking) {
+        done();
+        return;
+      }
+      
+      timer = setTimeout(done, timeout);
+      this.video.addEventListener('seeked', onSeeked, { once: true });
+      this.video.currentTime = target;
+    });
+  }
+
+  waitForFrame(timeout = 250) {
+    if (!('requestVideoFrameCallback' in this.video)) return Promise.resolve();
+    
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, timeout);
+      this.video.requestVideoFrameCallback(() => {
+        clearTimeout(timer);
+        resolve();
+      });
+    });
+  }
+
   seekRelative(delta) {
     if (!this.isLoaded) return;
     this.seek(this.video.currentTime + delta);
@@ -138,792 +482,6088 @@ class VideoManager {
   }
 }
 
-class YouTubeThumbnailFetcher {
-  constructor() {
-    this.qualities = [
-      { name: 'Max Resolution', key: 'maxresdefault', width: 1280, height: 720 },
-      { name: 'Standard', key: 'sddefault', width: 640, height: 480 },
-      { name: 'High Quality', key: 'hqdefault', width: 480, height: 360 },
-      { name: 'Medium Quality', key: 'mqdefault', width: 320, height: 180 },
-      { name: 'Default', key: 'default', width: 120, height: 90 }
-    ];
+class FrameRateDetector {
+  constructor(video) {
+    this.video = video;
+    this.commonRates = [23.976, 24, 25, 29.97, 30, 48, 50, 59.94, 60, 100, 119.88, 120];
   }
 
-  extractVideoId(url) {
-    const patterns = [
-      /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/v\/|youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/,
-      /^([a-zA-Z0-9_-]{11})$/
-    ];
-    
-    for (const pattern of patterns) {
-      const match = url.match(pattern);
-      if (match) return match[1];
-    }
-    return null;
+  isSupported() {
+    return typeof this.video.requestVideoFrameCallback === 'function';
   }
 
-  getThumbnailUrls(videoId) {
-    return this.qualities.map(q => ({
-      ...q,
-      url: `https://img.youtube.com/vi/${videoId}/${q.key}.jpg`
-    }));
+  async detect({ samples = 10, timeout = 2000 } = {}) {
+    if (!this.isSupported()) return null;
+    
+    const video = this.video;
+    const startTime = video.currentTime;
+    const muted = video.muted;
+    const deltas = [];
+    
+    await new Promise((resolve) => {
+      let handle = null;
+      let last = null;
+      let timer = null;
+      const finish = () => {
+        clearTimeout(timer);
+        video.cancelVideoFrameCallback(handle);
+        resolve();
+      };
+      const onFrame = (now, metadata) => {
+        if (last && metadata.presentedFrames - last.presentedFrames === 1) {
+          const delta = metadata.mediaTime - last.mediaTime;
+          if (delta > 0) deltas.push(delta);
+        }
+        last = metadata;
+        
+        if (deltas.length >= samples) {
+          finish();
+        } else {
+          handle = video.requestVideoFrameCallback(onFrame);
+        }
+      };
+      
+      timer = setTimeout(finish, timeout);
+      handle = video.requestVideoFrameCallback(onFrame);
+      video.muted = true;
+      video.play().catch(finish);
+    });
+    
+    video.pause();
+    video.muted = muted;
+    video.currentTime = startTime;
+    
+    if (deltas.length === 0) return null;
+    
+    deltas.sort((a, b) => a - b);
+    return this.snap(1 / deltas[Math.floor(deltas.length / 2)]);
   }
 
-  async checkThumbnailAvailability(url) {
-    return new Promise((resolve) => {
-      const img = new Image();
-      img.crossOrigin = 'anonymous';
-      img.onload = () => resolve({ available: true, width: img.naturalWidth, height: img.naturalHeight });
-      img.onerror = () => resolve({ available: false });
-      img.src = url;
+  snap(fps) {
+    const nearest = this.commonRates.reduce((best, rate) => {
+      return Math.abs(rate - fps) < Math.abs(best - fps) ? rate : best;
     });
+    return Math.abs(nearest - fps) / nearest < 0.015 ? nearest : Math.round(fps * 100) / 100;
   }
+}
 
-  async fetchAvailableThumbnails(url) {
-    const videoId = this.extractVideoId(url);
-    if (!videoId) {
-      throw new Error('Invalid YouTube URL');
-    }
-
-    const thumbnailUrls = this.getThumbnailUrls(videoId);
-    const results = [];
-
-    for (const thumb of thumbnailUrls) {
-      const check = await this.checkThumbnailAvailability(thumb.url);
-      if (check.available && check.width > 120) {
-        results.push({
-          ...thumb,
-          actualWidth: check.width,
-          actualHeight: check.height
-        });
-      }
-    }
-
-    return { videoId, thumbnails: results };
+class CropSelector {
+  constructor(video, overlay) {
+    this.video = video;
+    this.overlay = overlay;
+    this.box = overlay.querySelector('.crop-box');
+    this.aspect = 16 / 9;
+    this.region = null;
+    this.enabled = true;
+    this.drag = null;
+    this.minSize = 0.05;
+    
+    this.setupEventListeners();
   }
-}
 
-class ThumbnailGenerator {
-  constructor(canvas) {
-    this.canvas = canvas;
-    this.context = canvas.getContext('2d');
-    this.thumbnails = [];
-    this.selectedIndex = -1;
+  setupEventListeners() {
+    this.box.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    window.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    window.addEventListener('pointerup', () => this.handlePointerUp());
+    window.addEventListener('resize', () => this.layout());
+    this.video.addEventListener('loadedmetadata', () => this.reset());
   }
 
-  capture(video, width, height, format = 'png', quality = 0.92) {
-    this.canvas.width = width;
-    this.canvas.height = height;
-    this.context.drawImage(video, 0, 0, width, height);
-    
-    const mimeType = this.getMimeType(format);
-    const dataURL = this.canvas.toDataURL(mimeType, quality);
-    
-    const thumbnail = {
-      id: Date.now() + Math.random(),
-      dataURL,
-      time: video.currentTime,
-      width,
-      height,
-      format,
-      size: this.calculateSize(dataURL)
-    };
-    
-    this.thumbnails.push(thumbnail);
-    return thumbnail;
+  setEnabled(enabled) {
+    this.enabled = enabled;
+    this.layout();
   }
 
-  getMimeType(format) {
-    const types = {
-      'png': 'image/png',
-      'jpeg': 'image/jpeg',
-      'webp': 'image/webp'
-    };
-    return types[format] || 'image/png';
+  setAspect(aspect) {
+    if (!isFinite(aspect) || aspect <= 0) return;
+    this.aspect = aspect;
+    this.reset();
   }
 
-  calculateSize(dataURL) {
-    const base64 = dataURL.split(',')[1];
-    const bytes = atob(base64).length;
-    if (bytes < 1024) return `${bytes} B`;
-    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+  getNormalizedRatio() {
+    return this.aspect * this.video.videoHeight / this.video.videoWidth;
   }
 
-  remove(index) {
-    this.thumbnails.splice(index, 1);
-    if (this.selectedIndex === index) {
-      this.selectedIndex = -1;
-    } else if (this.selectedIndex > index) {
-      this.selectedIndex--;
+  reset() {
+    if (!this.video.videoWidth || !this.video.videoHeight) return;
+    
+    const ratio = this.getNormalizedRatio();
+    if (ratio > 1) {
+      const height = 1 / ratio;
+      this.region = { x: 0, y: (1 - height) / 2, width: 1, height };
+    } else {
+      this.region = { x: (1 - ratio) / 2, y: 0, width: ratio, height: 1 };
     }
+    this.layout();
   }
 
-  select(index) {
-    this.selectedIndex = index;
-    return this.thumbnails[index];
+  getRegion() {
+    return this.region ? { ...this.region } : null;
   }
 
-  getSelected() {
-    if (this.selectedIndex >= 0 && this.selectedIndex < this.thumbnails.length) {
-      return this.thumbnails[this.selectedIndex];
+  layout() {
+    const videoWidth = this.video.videoWidth;
+    const videoHeight = this.video.videoHeight;
+    
+    if (!this.enabled || !this.region || !videoWidth || !videoHeight) {
+      this.overlay.classList.add('hidden');
+      return;
     }
-    return null;
+    
+    const clientWidth = this.video.clientWidth;
+    const clientHeight = this.video.clientHeight;
+    const scale = Math.min(clientWidth / videoWidth, clientHeight / videoHeight);
+    const displayWidth = videoWidth * scale;
+    const displayHeight = videoHeight * scale;
+    
+    this.overlay.classList.remove('hidden');
+    this.overlay.style.left = `${this.video.offsetLeft + (clientWidth - displayWidth) / 2}px`;
+    this.overlay.style.top = `${this.video.offsetTop + (clientHeight - displayHeight) / 2}px`;
+    this.overlay.style.width = `${displayWidth}px`;
+    this.overlay.style.height = `${displayHeight}px`;
+    
+    this.box.style.left = `${this.region.x * 100}%`;
+    this.box.style.top = `${this.region.y * 100}%`;
+    this.box.style.width = `${this.region.width * 100}%`;
+    this.box.style.height = `${this.region.height * 100}%`;
   }
 
-  clear() {
-    this.thumbnails = [];
-    this.selectedIndex = -1;
+  handlePointerDown(e) {
+    if (!this.region) return;
+    e.preventDefault();
+    
+    this.drag = {
+      handle: e.target.dataset.handle || 'move',
+      startX: e.clientX,
+      startY: e.clientY,
+      region: { ...this.region }
+    };
   }
 
-  getCount() {
-    return this.thumbnails.length;
+  handlePointerMove(e) {
+    if (!this.drag) return;
+    
+    const rect = this.overlay.getBoundingClientRect();
+    const dx = (e.clientX - this.drag.startX) / rect.width;
+    const dy = (e.clientY - this.drag.startY) / rect.height;
+    const start = this.drag.region;
+    const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+    
+    if (this.drag.handle === 'move') {
+      this.region.x = clamp(start.x + dx, 0, 1 - start.width);
+      this.region.y = clamp(start.y + dy, 0, 1 - start.height);
+    } else {
+      const ratio = this.getNormalizedRatio();
+      const fromLeft = this.drag.handle.includes('w');
+      const fromTop = this.drag.handle.includes('n');
+      const anchorX = fromLeft ? start.x + start.width : start.x;
+      const anchorY = fromTop ? start.y + start.height : start.y;
+      const maxWidth = Math.min(
+        fromLeft ? anchorX : 1 - anchorX,
+        (fromTop ? anchorY : 1 - anchorY) * ratio
+      );
+      const width = clamp(start.width + (fromLeft ? -dx : dx), Math.min(this.minSize, maxWidth), maxWidth);
+      const height = width / ratio;
+      
+      this.region = {
+        x: fromLeft ? anchorX - width : anchorX,
+        y: fromTop ? anchorY - height : anchorY,
+        width,
+        height
+      };
+    }
+    
+    this.layout();
   }
 
-  getAll() {
-    return this.thumbnails;
+  handlePointerUp() {
+    this.drag = null;
   }
 }
 
-class ExportManager {
+class TrimRanges {
   constructor() {
-    this.format = 'png';
-    this.quality = 0.92;
+    this.ranges = [];
+    this.pendingIn = null;
+    this.minLength = 0.1;
   }
 
-  setFormat(format) {
-    this.format = format;
+  clear() {
+    this.ranges = [];
+    this.pendingIn = null;
   }
 
-  setQuality(quality) {
-    this.quality = quality / 100;
+  markIn(time) {
+    this.pendingIn = time;
   }
 
-  getExtension() {
-    return this.format === 'jpeg' ? 'jpg' : this.format;
+  markOut(time) {
+    let start = this.pendingIn;
+    if (start === null) {
+      const previous = this.ranges.filter(range => range.end <= time).pop();
+      start = previous ? previous.end : 0;
+    }
+    
+    this.pendingIn = null;
+    return this.add(Math.min(start, time), Math.max(start, time));
   }
 
-  downloadSingle(thumbnail) {
-    const link = document.createElement('a');
-    link.href = thumbnail.dataURL;
-    const timestamp = thumbnail.time.toFixed(2).replace('.', '_');
-    link.download = `thumbnail_${timestamp}_${thumbnail.width}x${thumbnail.height}.${this.getExtension()}`;
-    link.click();
+  add(start, end) {
+    if (end - start < this.minLength) return false;
+    
+    this.ranges = this.merge([...this.ranges, { start, end }]);
+    return true;
   }
 
-  async downloadAll(thumbnails, filename = 'thumbnails') {
-    if (thumbnails.length === 0) return;
+  merge(ranges) {
+    return [...ranges].sort((a, b) => a.start - b.start).reduce((merged, range) => {
+      const last = merged[merged.length - 1];
+      if (last && range.start <= last.end) {
+        last.end = Math.max(last.end, range.end);
+      } else {
+        merged.push({ ...range });
+      }
+      return merged;
+    }, []);
+  }
+
+  remove(index) {
+    this.ranges.splice(index, 1);
+  }
+
+  getRanges(duration) {
+    const ranges = this.pendingIn === null
+      ? this.ranges
+      : this.merge([...this.ranges, { start: this.pendingIn, end: duration }]);
+    if (ranges.length === 0) {
+      return [{ start: 0, end: duration }];
+    }
     
-    const zip = new JSZip();
-    const folder = zip.folder('thumbnails');
+    return ranges
+      .map(range => ({ start: Math.max(0, range.start), end: Math.min(duration, range.end) }))
+      .filter(range => range.end > range.start);
+  }
+
+  getLength(duration) {
+    return this.getRanges(duration).reduce((total, range) => total + range.end - range.start, 0);
+  }
+
+  getPositions(duration, step) {
+    const positions = [];
+    if (!(step > 0)) return positions;
     
-    thumbnails.forEach((thumb, index) => {
-      const base64 = thumb.dataURL.split(',')[1];
-      const timestamp = thumb.time.toFixed(2).replace('.', '_');
-      const name = `thumbnail_${String(index + 1).padStart(3, '0')}_${timestamp}.${this.getExtension()}`;
-      folder.file(name, base64, { base64: true });
+    this.getRanges(duration).forEach(range => {
+      for (let t = range.start + step / 2; t < range.end; t += step) {
+        positions.push(t);
+      }
     });
+    return positions;
+  }
+}
+
+class CaptureQueue {
+  constructor(videoManager) {
+    this.videoManager = videoManager;
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 32;
+    this.canvas.height = 18;
+    this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+    this.running = false;
+    this.cancelled = false;
+    this.maxRetries = 3;
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  async run(positions, captureFn, { onProgress = null } = {}) {
+    const startTime = performance.now();
+    this.running = true;
+    this.cancelled = false;
     
-    const content = await zip.generateAsync({ type: 'blob' });
-    saveAs(content, `${filename}.zip`);
+    try {
+      for (let i = 0; i < positions.length; i++) {
+        if (this.cancelled) return false;
+        
+        await this.captureAt(positions[i], () => captureFn(positions[i], i));
+        
+        if (onProgress) {
+          const elapsed = (performance.now() - startTime) / 1000;
+          const done = i + 1;
+          onProgress({ done, total: positions.length, eta: elapsed / done * (positions.length - done) });
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+    
+    return true;
+  }
+
+  async captureAt(time, captureFn) {
+    for (let attempt = 0; attempt <= this.maxRetries; attempt++) {
+      await this.videoManager.seekAndWait(time + attempt * 0.01);
+      if (this.cancelled) return;
+      
+      if (attempt === this.maxRetries || !this.isBlankFrame()) {
+        await captureFn();
+        return;
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, 100 * (attempt + 1)));
+    }
+  }
+
+  isBlankFrame() {
+    const { width, height } = this.canvas;
+    this.context.drawImage(this.videoManager.video, 0, 0, width, height);
+    const pixels = this.context.getImageData(0, 0, width, height).data;
+    const count = width * height;
+    let sum = 0;
+    let sumSquares = 0;
+    
+    for (let i = 0; i < pixels.length; i += 4) {
+      const luma = 0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2];
+      sum += luma;
+      sumSquares += luma * luma;
+    }
+    
+    const mean = sum / count;
+    return sumSquares / count - mean * mean < 4;
   }
 }
 
-class UIController {
+class SourceQueue {
   constructor() {
-    this.presetManager = new PresetManager();
-    this.videoManager = new VideoManager(document.getElementById('video'));
-    this.thumbnailGenerator = new ThumbnailGenerator(document.getElementById('canvas'));
-    this.exportManager = new ExportManager();
-    this.youtubeFetcher = new YouTubeThumbnailFetcher();
-    
-    this.autoSnapInterval = null;
-    this.elements = this.cacheElements();
+    this.items = [];
+    this.running = false;
+    this.cancelled = false;
+  }
+
+  add(files) {
+    const added = Array.from(files)
+      .filter(file => file.type.startsWith('video/'))
+      .map(file => ({
+        id: Date.now() + Math.random(),
+        file,
+        name: file.name,
+        status: 'pending',
+        count: 0,
+        error: null
+      }));
     
-    this.setupEventListeners();
-    this.setupVideoCallbacks();
+    this.items.push(...added);
+    return added;
   }
 
-  cacheElements() {
-    return {
-      sourceFile: document.getElementById('source_file'),
-      sourceUrl: document.getElementById('source_url'),
-      sourceYoutube: document.getElementById('source_youtube'),
-      fileInputSection: document.getElementById('file-input-section'),
-      urlInputSection: document.getElementById('url-input-section'),
-      youtubeInputSection: document.getElementById('youtube-input-section'),
-      videoFile: document.getElementById('videofile'),
-      videoUrl: document.getElementById('videourl'),
-      youtubeUrl: document.getElementById('youtubeurl'),
-      loadUrlBtn: document.getElementById('load-url-btn'),
-      fetchYoutubeBtn: document.getElementById('fetch-youtube-btn'),
-      youtubeThumbnails: document.getElementById('youtube-thumbnails'),
-      youtubeThumbGrid: document.getElementById('youtube-thumb-grid'),
-      videoPlaceholder: document.getElementById('video-placeholder'),
-      videoControls: document.getElementById('video-controls'),
-      videoInfo: document.getElementById('video-info'),
-      infoSize: document.getElementById('info-size'),
-      infoDuration: document.getElementById('info-duration'),
-      infoPosition: document.getElementById('info-position'),
-      timeline: document.getElementById('timeline'),
-      playPauseBtn: document.getElementById('play-pause-btn'),
-      playIcon: document.getElementById('play-icon'),
-      pauseIcon: document.getElementById('pause-icon'),
-      presetBtns: document.querySelectorAll('.preset-btn'),
-      outputWidth: document.getElementById('output-width'),
-      outputHeight: document.getElementById('output-height'),
-      lockRatio: document.getElementById('lock-ratio'),
-      ratioDisplay: document.getElementById('ratio-display'),
-      snapBtn: document.getElementById('snap-btn'),
-      autoSnapBtn: document.getElementById('auto-snap-btn'),
-      snapInterval: document.getElementById('snap-interval'),
-      exportFormat: document.getElementById('export-format'),
-      exportQuality: document.getElementById('export-quality'),
-      qualityValue: document.getElementById('quality-value'),
-      thumbnailsGrid: document.getElementById('thumbnails-grid'),
-      thumbCount: document.getElementById('thumb-count'),
-      previewContainer: document.getElementById('preview-container'),
-      previewImage: document.getElementById('preview-image'),
-      saveSelectedBtn: document.getElementById('save-selected-btn'),
-      saveAllBtn: document.getElementById('save-all-btn'),
-      clearBtn: document.getElementById('clear-btn')
+  remove(id) {
+    if (this.running) return;
+    this.items = this.items.filter(item => item.id !== id);
+  }
+
+  clear() {
+    if (this.running) return;
+    this.items = [];
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  async run(jobFn, { onChange = null } = {}) {
+    this.running = true;
+    this.cancelled = false;
+    const notify = (item) => {
+      if (onChange) onChange(item);
     };
+    
+    try {
+      for (const item of this.items) {
+        if (this.cancelled) break;
+        if (item.status === 'done') continue;
+        
+        item.status = 'running';
+        item.error = null;
+        notify(item);
+        
+        try {
+          item.count = await jobFn(item);
+          item.status = this.cancelled ? 'pending' : 'done';
+        } catch (error) {
+          item.status = 'failed';
+          item.error = error.message;
+        }
+        notify(item);
+      }
+    } finally {
+      this.running = false;
+    }
+    
+    return !this.cancelled;
   }
+}
 
-  setupEventListeners() {
-    this.elements.sourceFile.addEventListener('change', () => this.toggleSourceInput('file'));
-    this.elements.sourceUrl.addEventListener('change', () => this.toggleSourceInput('url'));
-    this.elements.sourceYoutube.addEventListener('change', () => this.toggleSourceInput('youtube'));
+class SceneDetector {
+  constructor(videoManager) {
+    this.videoManager = videoManager;
+    this.canvas = document.createElement('canvas');
+    this.canvas.width = 64;
+    this.canvas.height = 36;
+    this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+    this.running = false;
+    this.cancelled = false;
+    this.sampleInterval = 0.5;
+    this.maxSamples = 1800;
+  }
+
+  getStep(length) {
+    return Math.max(this.sampleInterval, length / this.maxSamples);
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  getThreshold(sensitivity) {
+    return 0.6 - (sensitivity / 100) * 0.5;
+  }
+
+  async detect({ sensitivity = 50, maxScenes = 25, ranges = null, onProgress = null } = {}) {
+    const duration = this.videoManager.video.duration;
+    const spans = ranges || [{ start: 0, end: duration }];
+    const length = spans.reduce((total, span) => total + span.end - span.start, 0);
+    const step = this.getStep(length);
+    const threshold = this.getThreshold(sensitivity);
+    const cuts = [];
+    let scanned = 0;
     
-    this.elements.videoFile.addEventListener('change', (e) => this.handleFileSelect(e));
-    this.elements.loadUrlBtn.addEventListener('click', () => this.handleUrlLoad());
-    this.elements.videoUrl.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') this.handleUrlLoad();
+    this.running = true;
+    this.cancelled = false;
+    
+    try {
+      for (const span of spans) {
+        let previous = null;
+        cuts.push({ time: span.start, end: span.end, distance: Infinity });
+        
+        for (let time = span.start; time < span.end; time += step) {
+          if (this.cancelled) return null;
+          
+          await this.videoManager.seekAndWait(time);
+          const sample = this.sampleFrame();
+          
+          if (previous) {
+            const distance = this.compare(previous, sample);
+            if (distance > threshold) {
+              cuts.push({ time, end: span.end, distance });
+            }
+          }
+          
+          previous = sample;
+          if (onProgress) onProgress((scanned + time - span.start) / length);
+        }
+        scanned += span.end - span.start;
+      }
+    } finally {
+      this.running = false;
+    }
+    
+    const kept = cuts
+      .slice()
+      .sort((a, b) => b.distance - a.distance)
+      .slice(0, maxScenes)
+      .sort((a, b) => a.time - b.time);
+    
+    return kept.map((cut, i) => {
+      const end = i + 1 < kept.length ? Math.min(kept[i + 1].time, cut.end) : cut.end;
+      return (cut.time + end) / 2;
     });
+  }
+
+  sampleFrame() {
+    const { width, height } = this.canvas;
+    this.context.drawImage(this.videoManager.video, 0, 0, width, height);
+    const pixels = this.context.getImageData(0, 0, width, height).data;
+    const histogram = new Float32Array(48);
+    const luma = new Float32Array(width * height);
+    const count = width * height;
     
-    this.elements.fetchYoutubeBtn.addEventListener('click', () => this.handleYoutubeFetch());
-    this.elements.youtubeUrl.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter') this.handleYoutubeFetch();
+    for (let i = 0, p = 0; i < pixels.length; i += 4, p++) {
+      const r = pixels[i];
+      const g = pixels[i + 1];
+      const b = pixels[i + 2];
+      histogram[r >> 4]++;
+      histogram[16 + (g >> 4)]++;
+      histogram[32 + (b >> 4)]++;
+      luma[p] = 0.299 * r + 0.587 * g + 0.114 * b;
+    }
+    
+    for (let i = 0; i < histogram.length; i++) {
+      histogram[i] /= count;
+    }
+    
+    return { histogram, luma };
+  }
+
+  compare(a, b) {
+    let histogramDistance = 0;
+    for (let i = 0; i < a.histogram.length; i++) {
+      histogramDistance += Math.abs(a.histogram[i] - b.histogram[i]);
+    }
+    histogramDistance /= 6;
+    
+    let pixelDistance = 0;
+    for (let i = 0; i < a.luma.length; i++) {
+      pixelDistance += Math.abs(a.luma[i] - b.luma[i]);
+    }
+    pixelDistance /= a.luma.length * 255;
+    
+    return (histogramDistance + pixelDistance) / 2;
+  }
+}
+
+class ContactSheetBuilder {
+  constructor(videoManager, captureQueue) {
+    this.videoManager = videoManager;
+    this.captureQueue = captureQueue;
+    this.gap = 8;
+    this.headerHeight = 72;
+  }
+
+  async build({ positions, columns, tileWidth, header = null, onProgress = null }) {
+    const video = this.videoManager.video;
+    const tileHeight = Math.round(tileWidth * video.videoHeight / video.videoWidth);
+    const rows = Math.ceil(positions.length / columns);
+    const gap = this.gap;
+    const top = header ? this.headerHeight : 0;
+    
+    const canvas = document.createElement('canvas');
+    canvas.width = columns * tileWidth + (columns + 1) * gap;
+    canvas.height = top + rows * tileHeight + (rows + 1) * gap;
+    const ctx = canvas.getContext('2d');
+    
+    ctx.fillStyle = '#0f172a';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    
+    if (header) {
+      this.drawHeader(ctx, header, canvas.width);
+    }
+    
+    const completed = await this.captureQueue.run(positions, (time, index) => {
+      const x = gap + (index % columns) * (tileWidth + gap);
+      const y = top + gap + Math.floor(index / columns) * (tileHeight + gap);
+      ctx.drawImage(video, x, y, tileWidth, tileHeight);
+      this.drawTimestamp(ctx, time, x + tileWidth, y + tileHeight, tileHeight);
+    }, { onProgress });
+    
+    return completed ? canvas : null;
+  }
+
+  drawHeader(ctx, header, width) {
+    ctx.fillStyle = '#ffffff';
+    ctx.font = 'bold 22px sans-serif';
+    ctx.textBaseline = 'top';
+    ctx.fillText(header.title, this.gap * 2, 14, width - this.gap * 4);
+    
+    ctx.fillStyle = '#94a3b8';
+    ctx.font = '15px sans-serif';
+    ctx.fillText(header.details, this.gap * 2, 44, width - this.gap * 4);
+  }
+
+  drawTimestamp(ctx, time, right, bottom, tileHeight) {
+    const fontSize = Math.max(10, Math.round(tileHeight * 0.09));
+    const label = this.formatTimestamp(time);
+    ctx.font = `bold ${fontSize}px monospace`;
+    ctx.textBaseline = 'middle';
+    
+    const padding = fontSize * 0.4;
+    const boxWidth = ctx.measureText(label).width + padding * 2;
+    const boxHeight = fontSize + padding;
+    const x = right - boxWidth - padding;
+    const y = bottom - boxHeight - padding;
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+    ctx.fillRect(x, y, boxWidth, boxHeight);
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(label, x + padding, y + boxHeight / 2);
+  }
+
+  formatTimestamp(seconds) {
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
+    const secs = Math.floor(seconds % 60);
+    const clock = `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    return hours > 0 ? `${hours}:${clock}` : clock;
+  }
+}
+
+class SpriteSheetBuilder {
+  constructor(videoManager, captureQueue) {
+    this.videoManager = videoManager;
+    this.captureQueue = captureQueue;
+  }
+
+  async build({ interval, tileWidth, columns, rows, ranges = null, onProgress = null }) {
+    const video = this.videoManager.video;
+    const duration = video.duration;
+    const tileHeight = Math.round(tileWidth * video.videoHeight / video.videoWidth);
+    const perSheet = columns * rows;
+    const positions = [];
+    const ends = [];
+    
+    (ranges || [{ start: 0, end: duration }]).forEach(range => {
+      for (let t = range.start; t < range.end; t += interval) {
+        positions.push(t);
+        ends.push(Math.min(t + interval, range.end));
+      }
     });
     
-    this.elements.timeline.addEventListener('input', (e) => {
-      const time = parseFloat(e.target.value);
-      this.videoManager.seek(time);
+    const sheets = [];
+    const cues = [];
+    let ctx = null;
+    
+    const completed = await this.captureQueue.run(positions, (time, index) => {
+      const slot = index % perSheet;
+      if (slot === 0) {
+        const remaining = positions.length - index;
+        const sheet = document.createElement('canvas');
+        sheet.width = columns * tileWidth;
+        sheet.height = Math.ceil(Math.min(perSheet, remaining) / columns) * tileHeight;
+        sheets.push(sheet);
+        ctx = sheet.getContext('2d');
+      }
+      
+      const x = (slot % columns) * tileWidth;
+      const y = Math.floor(slot / columns) * tileHeight;
+      ctx.drawImage(video, x, y, tileWidth, tileHeight);
+      
+      cues.push({
+        start: time,
+        end: ends[index],
+        sheet: sheets.length - 1,
+        x,
+        y,
+        width: tileWidth,
+        height: tileHeight
+      });
+    }, { onProgress });
+    
+    return completed ? { sheets, cues } : null;
+  }
+}
+
+class YouTubeThumbnailFetcher {
+  constructor() {
+    this.qualities = [
+      { name: 'Max Resolution', key: 'maxresdefault', width: 1280, height: 720 },
+      { name: 'Standard', key: 'sddefault', width: 640, height: 480 },
+      { name: 'High Quality', key: 'hqdefault', width: 480, height: 360 },
+      { name: 'Medium Quality', key: 'mqdefault', width: 320, height: 180 },
+      { name: 'Default', key: 'default', width: 120, height: 90 }
+    ];
+  }
+
+  extractVideoId(url) {
+    const patterns = [
+      /(?:youtube\.com\/watch\?v=|youtu\.be\/|youtube\.com\/embed\/|youtube\.com\/v\/|youtube\.com\/shorts\/)([a-zA-Z0-9_-]{11})/,
+      /^([a-zA-Z0-9_-]{11})$/
+    ];
+    
+    for (const pattern of patterns) {
+      const match = url.match(pattern);
+      if (match) return match[1];
+    }
+    return null;
+  }
+
+  getThumbnailUrls(videoId) {
+    return this.qualities.map(q => ({
+      ...q,
+      url: `https://img.youtube.com/vi/${videoId}/${q.key}.jpg`
+    }));
+  }
+
+  async checkThumbnailAvailability(url) {
+    return new Promise((resolve) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => resolve({ available: true, width: img.naturalWidth, height: img.naturalHeight });
+      img.onerror = () => resolve({ available: false });
+      img.src = url;
+    });
+  }
+
+  async fetchAvailableThumbnails(url) {
+    const videoId = this.extractVideoId(url);
+    if (!videoId) {
+      throw new Error('Invalid YouTube URL');
+    }
+
+    const thumbnailUrls = this.getThumbnailUrls(videoId);
+    const results = [];
+
+    for (const thumb of thumbnailUrls) {
+      const check = await this.checkThumbnailAvailability(thumb.url);
+      if (check.available && check.width > 120) {
+        results.push({
+          ...thumb,
+          actualWidth: check.width,
+          actualHeight: check.height
+        });
+      }
+    }
+
+    return { videoId, thumbnails: results };
+  }
+}
+
+class FrameScorer {
+  constructor() {
+    this.canvas = document.createElement('canvas');
+    this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+    this.sampleWidth = 160;
+  }
+
+  score(source) {
+    const width = this.sampleWidth;
+    const height = Math.max(1, Math.round(width * source.height / source.width));
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.context.drawImage(source, 0, 0, width, height);
+    
+    const pixels = this.context.getImageData(0, 0, width, height).data;
+    const count = width * height;
+    const gray = new Float32Array(count);
+    let sum = 0;
+    let sumSquares = 0;
+    let rgSum = 0;
+    let rgSquares = 0;
+    let ybSum = 0;
+    let ybSquares = 0;
+    
+    for (let i = 0, p = 0; i < pixels.length; i += 4, p++) {
+      const r = pixels[i];
+      const g = pixels[i + 1];
+      const b = pixels[i + 2];
+      const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+      const rg = r - g;
+      const yb = 0.5 * (r + g) - b;
+      
+      gray[p] = luma;
+      sum += luma;
+      sumSquares += luma * luma;
+      rgSum += rg;
+      rgSquares += rg * rg;
+      ybSum += yb;
+      ybSquares += yb * yb;
+    }
+    
+    const brightness = sum / count;
+    const contrast = Math.sqrt(Math.max(0, sumSquares / count - brightness * brightness));
+    const rgMean = rgSum / count;
+    const ybMean = ybSum / count;
+    const rgStd = Math.sqrt(Math.max(0, rgSquares / count - rgMean * rgMean));
+    const ybStd = Math.sqrt(Math.max(0, ybSquares / count - ybMean * ybMean));
+    const colorfulness = Math.sqrt(rgStd * rgStd + ybStd * ybStd) +
+      0.3 * Math.sqrt(rgMean * rgMean + ybMean * ybMean);
+    const sharpness = this.laplacianVariance(gray, width, height);
+    
+    const flags = [];
+    if (brightness < 16 || (brightness < 32 && contrast < 10)) flags.push('black');
+    if (sharpness < 25) flags.push('blurry');
+    
+    const total = Math.round(100 * (
+      0.4 * Math.min(1, Math.log10(1 + sharpness) / 3) +
+      0.2 * (1 - Math.abs(brightness - 128) / 128) +
+      0.2 * Math.min(1, contrast / 64) +
+      0.2 * Math.min(1, colorfulness / 100)
+    ));
+    
+    return {
+      total: flags.length > 0 ? Math.round(total / 2) : total,
+      sharpness: Math.round(sharpness),
+      brightness: Math.round(brightness),
+      contrast: Math.round(contrast),
+      colorfulness: Math.round(colorfulness),
+      flags
+    };
+  }
+
+  laplacianVariance(gray, width, height) {
+    let sum = 0;
+    let sumSquares = 0;
+    let count = 0;
+    
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        const value = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+        sum += value;
+        sumSquares += value * value;
+        count++;
+      }
+    }
+    
+    if (count === 0) return 0;
+    const mean = sum / count;
+    return sumSquares / count - mean * mean;
+  }
+}
+
+class SmartCropper {
+  constructor() {
+    this.canvas = document.createElement('canvas');
+    this.context = this.canvas.getContext('2d', { willReadFrequently: true });
+    this.sampleWidth = 96;
+    this.skinWeight = 3;
+    this.detector = null;
+    this.detectorFailed = typeof FaceDetector === 'undefined';
+  }
+
+  async locate(source, crop) {
+    const focus = await this.findFocus(source, crop);
+    const x = focus ? focus.x : 0.5;
+    const y = focus ? focus.y : 0.5;
+    
+    return {
+      x: Math.max(0, Math.min(1 - crop.width, x - crop.width / 2)),
+      y: Math.max(0, Math.min(1 - crop.height, y - crop.height / 2)),
+      width: crop.width,
+      height: crop.height
+    };
+  }
+
+  async findFocus(source, crop) {
+    const faces = await this.detectFaces(source);
+    if (faces.length > 0) {
+      return this.getFaceFocus(faces, crop);
+    }
+    return this.getSalientFocus(source, crop);
+  }
+
+  async detectFaces(source) {
+    if (this.detectorFailed) return [];
+    
+    try {
+      if (!this.detector) {
+        this.detector = new FaceDetector({ fastMode: true, maxDetectedFaces: 10 });
+      }
+      const faces = await this.detector.detect(source);
+      return faces.map(face => ({
+        x: face.boundingBox.x / source.width,
+        y: face.boundingBox.y / source.height,
+        width: face.boundingBox.width / source.width,
+        height: face.boundingBox.height / source.height
+      }));
+    } catch (error) {
+      this.detectorFailed = true;
+      return [];
+    }
+  }
+
+  getFaceFocus(faces, crop) {
+    const left = Math.min(...faces.map(face => face.x));
+    const top = Math.min(...faces.map(face => face.y));
+    const right = Math.max(...faces.map(face => face.x + face.width));
+    const bottom = Math.max(...faces.map(face => face.y + face.height));
+    
+    if (right - left <= crop.width && bottom - top <= crop.height) {
+      return { x: (left + right) / 2, y: (top + bottom) / 2 };
+    }
+    
+    const largest = faces.reduce((best, face) => face.width * face.height > best.width * best.height ? face : best);
+    return { x: largest.x + largest.width / 2, y: largest.y + largest.height / 2 };
+  }
+
+  getEnergyMap(source) {
+    const width = this.sampleWidth;
+    const height = Math.max(1, Math.round(width * source.height / source.width));
+    this.canvas.width = width;
+    this.canvas.height = height;
+    this.context.drawImage(source, 0, 0, width, height);
+    
+    const pixels = this.context.getImageData(0, 0, width, height).data;
+    const count = width * height;
+    const gray = new Float32Array(count);
+    const skin = new Uint8Array(count);
+    
+    for (let i = 0, p = 0; i < pixels.length; i += 4, p++) {
+      const r = pixels[i];
+      const g = pixels[i + 1];
+      const b = pixels[i + 2];
+      gray[p] = 0.299 * r + 0.587 * g + 0.114 * b;
+      skin[p] = this.isSkin(r, g, b) ? 1 : 0;
+    }
+    
+    const energy = new Float32Array(count);
+    let total = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const p = y * width + x;
+        const dx = gray[p + 1] - gray[p - 1];
+        const dy = gray[p + width] - gray[p - width];
+        energy[p] = Math.abs(dx) + Math.abs(dy);
+        total += energy[p];
+      }
+    }
+    
+    const mean = total / count;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const p = y * width + x;
+        const dx = (x + 0.5) / width - 0.5;
+        const dy = (y + 0.5) / height - 0.5;
+        const bias = 1 - (dx * dx + dy * dy);
+        energy[p] = (energy[p] + skin[p] * mean * this.skinWeight) * bias;
+      }
+    }
+    
+    return { energy, width, height, mean };
+  }
+
+  isSkin(r, g, b) {
+    return r > 95 && g > 40 && b > 20 &&
+      Math.max(r, g, b) - Math.min(r, g, b) > 15 &&
+      Math.abs(r - g) > 15 && r > g && r > b;
+  }
+
+  getSalientFocus(source, crop) {
+    const { energy, width, height, mean } = this.getEnergyMap(source);
+    if (mean < 1) return null;
+    
+    const integral = new Float64Array((width + 1) * (height + 1));
+    for (let y = 0; y < height; y++) {
+      let row = 0;
+      for (let x = 0; x < width; x++) {
+        row += energy[y * width + x];
+        integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + row;
+      }
+    }
+    const sum = (x, y, w, h) => {
+      const stride = width + 1;
+      return integral[(y + h) * stride + x + w] - integral[y * stride + x + w] -
+        integral[(y + h) * stride + x] + integral[y * stride + x];
+    };
+    
+    const windowWidth = Math.max(1, Math.min(width, Math.round(crop.width * width)));
+    const windowHeight = Math.max(1, Math.min(height, Math.round(crop.height * height)));
+    let best = { x: 0, y: 0, value: -1 };
+    for (let y = 0; y <= height - windowHeight; y++) {
+      for (let x = 0; x <= width - windowWidth; x++) {
+        const value = sum(x, y, windowWidth, windowHeight);
+        if (value > best.value) best = { x, y, value };
+      }
+    }
+    if (best.value <= 0) return null;
+    
+    let weightX = 0;
+    let weightY = 0;
+    for (let y = best.y; y < best.y + windowHeight; y++) {
+      for (let x = best.x; x < best.x + windowWidth; x++) {
+        const value = energy[y * width + x];
+        weightX += value * (x + 0.5);
+        weightY += value * (y + 0.5);
+      }
+    }
+    
+    return {
+      x: weightX / best.value / width,
+      y: weightY / best.value / height
+    };
+  }
+}
+
+class ImageAdjuster {
+  constructor() {
+    this.controls = [
+      { key: 'exposure', label: 'Exposure', min: -100, max: 100 },
+      { key: 'brightness', label: 'Brightness', min: -100, max: 100 },
+      { key: 'contrast', label: 'Contrast', min: -100, max: 100 },
+      { key: 'saturation', label: 'Saturation', min: -100, max: 100 },
+      { key: 'sharpen', label: 'Sharpen', min: 0, max: 100 },
+      { key: 'vignette', label: 'Vignette', min: 0, max: 100 }
+    ];
+    this.presets = {
+      'none': { name: 'No Look', matrix: null },
+      'warm': { name: 'Warm', matrix: [[1.08, 0, 0, 8], [0, 1.02, 0, 2], [0, 0, 0.88, -6]] },
+      'cool': { name: 'Cool', matrix: [[0.9, 0, 0, -6], [0, 1, 0, 0], [0, 0, 1.1, 10]] },
+      'vintage': { name: 'Vintage', matrix: [[0.7, 0.3, 0.1, 14], [0.15, 0.72, 0.1, 8], [0.1, 0.2, 0.55, 6]] },
+      'cinematic': { name: 'Cinematic', matrix: [[1.12, -0.04, -0.04, -4], [-0.02, 1.04, -0.02, 0], [-0.04, 0.02, 1.08, 6]] },
+      'mono': { name: 'Mono', matrix: [[0.299, 0.587, 0.114, 0], [0.299, 0.587, 0.114, 0], [0.299, 0.587, 0.114, 0]] }
+    };
+  }
+
+  getDefaults() {
+    const adjustments = { preset: 'none' };
+    this.controls.forEach(control => {
+      adjustments[control.key] = 0;
+    });
+    return adjustments;
+  }
+
+  isNeutral(adjustments) {
+    if (!adjustments) return true;
+    return (adjustments.preset || 'none') === 'none' &&
+      this.controls.every(control => !adjustments[control.key]);
+  }
+
+  apply(ctx, width, height, adjustments) {
+    if (this.isNeutral(adjustments)) return;
+    
+    const settings = { ...this.getDefaults(), ...adjustments };
+    const preset = this.presets[settings.preset] || this.presets['none'];
+    const needsTone = preset.matrix || ['exposure', 'brightness', 'contrast', 'saturation'].some(key => settings[key]);
+    
+    if (needsTone || settings.sharpen > 0) {
+      const image = ctx.getImageData(0, 0, width, height);
+      if (needsTone) {
+        this.applyTone(image.data, settings, preset.matrix);
+      }
+      if (settings.sharpen > 0) {
+        this.applySharpen(image, settings.sharpen / 100);
+      }
+      ctx.putImageData(image, 0, 0);
+    }
+    
+    if (settings.vignette > 0) {
+      this.applyVignette(ctx, width, height, settings.vignette / 100);
+    }
+  }
+
+  buildCurve(settings) {
+    const curve = new Float32Array(256);
+    const exposure = Math.pow(2, settings.exposure / 50);
+    const contrast = settings.contrast >= 0 ? 1 + settings.contrast / 50 : 1 + settings.contrast / 100;
+    const brightness = settings.brightness * 0.8;
+    
+    for (let i = 0; i < 256; i++) {
+      curve[i] = (i * exposure + brightness - 128) * contrast + 128;
+    }
+    return curve;
+  }
+
+  applyTone(data, settings, matrix) {
+    const curve = this.buildCurve(settings);
+    const saturation = 1 + settings.saturation / 100;
+    
+    for (let i = 0; i < data.length; i += 4) {
+      let r = curve[data[i]];
+      let g = curve[data[i + 1]];
+      let b = curve[data[i + 2]];
+      
+      if (saturation !== 1) {
+        const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+        r = luma + (r - luma) * saturation;
+        g = luma + (g - luma) * saturation;
+        b = luma + (b - luma) * saturation;
+      }
+      
+      if (matrix) {
+        const [mr, mg, mb] = matrix;
+        data[i] = mr[0] * r + mr[1] * g + mr[2] * b + mr[3];
+        data[i + 1] = mg[0] * r + mg[1] * g + mg[2] * b + mg[3];
+        data[i + 2] = mb[0] * r + mb[1] * g + mb[2] * b + mb[3];
+      } else {
+        data[i] = r;
+        data[i + 1] = g;
+        data[i + 2] = b;
+      }
+    }
+  }
+
+  applySharpen(image, amount) {
+    const { data, width, height } = image;
+    const source = new Uint8ClampedArray(data);
+    const center = 1 + 4 * amount;
+    const row = width * 4;
+    
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = (y * width + x) * 4;
+        for (let c = 0; c < 3; c++) {
+          const p = i + c;
+          data[p] = source[p] * center - amount * (source[p - 4] + source[p + 4] + source[p - row] + source[p + row]);
+        }
+      }
+    }
+  }
+
+  applyVignette(ctx, width, height, amount) {
+    const radius = Math.hypot(width, height) / 2;
+    const gradient = ctx.createRadialGradient(width / 2, height / 2, radius * 0.35, width / 2, height / 2, radius);
+    gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+    gradient.addColorStop(1, `rgba(0, 0, 0, ${0.85 * amount})`);
+    
+    ctx.save();
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  }
+}
+
+class ImageEncoder {
+  constructor(workerURL = 'js/encoder.worker.js') {
+    this.worker = null;
+    this.pending = new Map();
+    this.nextId = 0;
+    this.fallbackCanvas = null;
+    
+    if (typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined' && typeof createImageBitmap !== 'undefined') {
+      try {
+        this.worker = new Worker(workerURL);
+        this.worker.addEventListener('message', (e) => this.handleMessage(e.data));
+        this.worker.addEventListener('error', () => this.disableWorker());
+      } catch (error) {
+        this.worker = null;
+      }
+    }
+  }
+
+  handleMessage({ id, blob, error }) {
+    const request = this.pending.get(id);
+    if (!request) return;
+    
+    this.pending.delete(id);
+    request.fallback.close();
+    if (error) {
+      request.reject(new Error(error));
+    } else {
+      request.resolve(blob);
+    }
+  }
+
+  disableWorker() {
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    
+    const requests = Array.from(this.pending.values());
+    this.pending.clear();
+    requests.forEach(request => {
+      this.encodeFallback(request.fallback, request.type, request.quality).then(request.resolve, request.reject);
+    });
+  }
+
+  async encodeFallback(bitmap, type, quality) {
+    try {
+      return await this.encodeOnMainThread(bitmap, type, quality);
+    } finally {
+      bitmap.close();
+    }
+  }
+
+  async encode(source, type, quality) {
+    if (!this.worker) {
+      return this.encodeOnMainThread(source, type, quality);
+    }
+    
+    const [bitmap, fallback] = await Promise.all([createImageBitmap(source), createImageBitmap(source)]);
+    if (!this.worker) {
+      bitmap.close();
+      return this.encodeFallback(fallback, type, quality);
+    }
+    
+    return new Promise((resolve, reject) => {
+      const id = ++this.nextId;
+      this.pending.set(id, { resolve, reject, fallback, type, quality });
+      this.worker.postMessage({ id, bitmap, type, quality }, [bitmap]);
+    });
+  }
+
+  encodeOnMainThread(source, type, quality) {
+    let canvas = source;
+    if (typeof source.toBlob !== 'function') {
+      canvas = this.fallbackCanvas || document.createElement('canvas');
+      this.fallbackCanvas = canvas;
+      canvas.width = source.width;
+      canvas.height = source.height;
+      canvas.getContext('2d').drawImage(source, 0, 0);
+    }
+    
+    return new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => {
+        if (blob) {
+          resolve(blob);
+        } else {
+          reject(new Error('Could not encode image'));
+        }
+      }, type, quality);
+    });
+  }
+}
+
+class ThumbnailGenerator {
+  constructor(canvas, overlayRenderer, frameScorer, encoder, adjuster, smartCropper) {
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d', { willReadFrequently: true });
+    this.overlayRenderer = overlayRenderer;
+    this.frameScorer = frameScorer;
+    this.encoder = encoder;
+    this.adjuster = adjuster;
+    this.smartCropper = smartCropper;
+    this.thumbnails = [];
+    this.selectedIndex = -1;
+    this.selection = new Set();
+    this.decoded = null;
+    this.queue = Promise.resolve();
+  }
+
+  async capture(video, width, height, format = 'png', quality = 0.92, options = {}) {
+    const fit = options.fit || 'cover';
+    const time = video.currentTime;
+    const bitmap = await createImageBitmap(video);
+    let crop = fit === 'cover'
+      ? this.fitCrop(options.crop, bitmap.width, bitmap.height, width / height)
+      : null;
+    if (crop && options.smartCrop) {
+      crop = await this.smartCropper.locate(bitmap, crop);
+    }
+    
+    return this.addThumbnail(bitmap, {
+      source: options.source || null,
+      time,
+      frame: Number.isInteger(options.frame) ? options.frame : null,
+      timecode: options.timecode || null,
+      preset: options.preset || null,
+      width,
+      height,
+      format,
+      quality,
+      fit,
+      fill: { ...(options.fill || { color: '#000000', blur: false }) },
+      crop,
+      adjustments: { ...this.adjuster.getDefaults(), ...options.adjustments }
+    });
+  }
+
+  async captureImage(image, format = 'png', quality = 0.92, details = {}) {
+    const bitmap = await createImageBitmap(image);
+    
+    return this.addThumbnail(bitmap, {
+      source: null,
+      time: 0,
+      width: bitmap.width,
+      height: bitmap.height,
+      format,
+      quality,
+      fit: 'stretch',
+      fill: { color: '#000000', blur: false },
+      crop: null,
+      ...details
+    });
+  }
+
+  async addThumbnail(bitmap, props) {
+    const thumbnail = {
+      id: Date.now() + Math.random(),
+      layers: [],
+      adjustments: this.adjuster.getDefaults(),
+      score: this.frameScorer.score(bitmap),
+      ...props,
+      original: await this.encoder.encode(bitmap, 'image/png'),
+      originalWidth: bitmap.width,
+      originalHeight: bitmap.height
+    };
+    
+    this.enqueue(() => this.cacheOriginal(thumbnail, bitmap));
+    await this.flatten(thumbnail);
+    this.thumbnails.push(thumbnail);
+    return thumbnail;
+  }
+
+  restore(thumbnails) {
+    this.clear();
+    this.thumbnails = thumbnails.map(thumbnail => {
+      this.setBlob(thumbnail, thumbnail.blob);
+      return thumbnail;
+    });
+    return this.thumbnails;
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async getOriginal(thumbnail) {
+    if (this.decoded && this.decoded.thumbnail === thumbnail) {
+      return this.decoded.bitmap;
+    }
+    
+    const bitmap = await createImageBitmap(thumbnail.original);
+    this.cacheOriginal(thumbnail, bitmap);
+    return bitmap;
+  }
+
+  cacheOriginal(thumbnail, bitmap) {
+    this.dropOriginal();
+    this.decoded = { thumbnail, bitmap };
+  }
+
+  dropOriginal(thumbnail = null) {
+    if (!this.decoded || (thumbnail && this.decoded.thumbnail !== thumbnail)) return;
+    
+    this.decoded.bitmap.close();
+    this.decoded = null;
+  }
+
+  drawThumbnail(thumbnail, original, width, height) {
+    const crop = thumbnail.fit === 'cover'
+      ? this.fitCrop(thumbnail.crop, original.width, original.height, width / height)
+      : null;
+    
+    this.drawFrame(original, original.width, original.height, width, height, {
+      fit: thumbnail.fit,
+      fill: thumbnail.fill,
+      crop
+    });
+    this.adjuster.apply(this.context, width, height, thumbnail.adjustments);
+  }
+
+  render(thumbnail, width, height, output, layers = thumbnail.layers) {
+    return this.enqueue(async () => {
+      const original = await this.getOriginal(thumbnail);
+      this.drawThumbnail(thumbnail, original, width, height);
+      this.overlayRenderer.draw(this.context, layers, width, height);
+      return { result: output(this.canvas) };
+    }).then(({ result }) => result);
+  }
+
+  renderBackground(thumbnail) {
+    return this.render(thumbnail, thumbnail.width, thumbnail.height, () => this.copyCanvas(), []);
+  }
+
+  async flatten(thumbnail) {
+    const version = thumbnail.version = (thumbnail.version || 0) + 1;
+    const blob = await this.render(thumbnail, thumbnail.width, thumbnail.height,
+      (canvas) => this.encoder.encode(canvas, this.getMimeType(thumbnail.format), thumbnail.quality));
+    if (thumbnail.version === version) {
+      this.setBlob(thumbnail, blob);
+    }
+    return thumbnail;
+  }
+
+  setBlob(thumbnail, blob) {
+    this.release(thumbnail);
+    thumbnail.blob = blob;
+    thumbnail.url = URL.createObjectURL(blob);
+    thumbnail.size = this.formatSize(blob.size);
+  }
+
+  release(thumbnail) {
+    if (thumbnail.url) {
+      URL.revokeObjectURL(thumbnail.url);
+      thumbnail.url = null;
+    }
+  }
+
+  discard(thumbnail) {
+    this.release(thumbnail);
+    this.enqueue(() => this.dropOriginal(thumbnail));
+  }
+
+  renderBlob(thumbnail, settings = {}) {
+    const width = settings.width || thumbnail.width;
+    const height = settings.height || thumbnail.height;
+    const format = settings.format || thumbnail.format;
+    const quality = settings.quality !== undefined ? settings.quality : thumbnail.quality;
+    
+    if (thumbnail.blob && width === thumbnail.width && height === thumbnail.height &&
+        format === thumbnail.format && quality === thumbnail.quality) {
+      return Promise.resolve(thumbnail.blob);
+    }
+    
+    return this.render(thumbnail, width, height, (canvas) => this.encoder.encode(canvas, this.getMimeType(format), quality));
+  }
+
+  renderCanvas(thumbnail, width, height) {
+    return this.render(thumbnail, width, height, () => this.copyCanvas());
+  }
+
+  moveCrop(thumbnail, dx, dy) {
+    const { crop } = thumbnail;
+    thumbnail.crop = {
+      ...crop,
+      x: Math.max(0, Math.min(1 - crop.width, crop.x + dx)),
+      y: Math.max(0, Math.min(1 - crop.height, crop.y + dy))
+    };
+    
+    return this.flatten(thumbnail);
+  }
+
+  async smartCrop(thumbnail) {
+    thumbnail.crop = await this.enqueue(async () => {
+      const original = await this.getOriginal(thumbnail);
+      return this.smartCropper.locate(original, thumbnail.crop);
+    });
+    return this.flatten(thumbnail);
+  }
+
+  centerCrop(thumbnail) {
+    const { crop } = thumbnail;
+    thumbnail.crop = { ...crop, x: (1 - crop.width) / 2, y: (1 - crop.height) / 2 };
+    return this.flatten(thumbnail);
+  }
+
+  rerender(thumbnail, settings) {
+    Object.assign(thumbnail, settings);
+    if (thumbnail.fit === 'cover') {
+      thumbnail.crop = this.fitCrop(
+        thumbnail.crop,
+        thumbnail.originalWidth,
+        thumbnail.originalHeight,
+        thumbnail.width / thumbnail.height
+      );
+    }
+    
+    return this.flatten(thumbnail);
+  }
+
+  copyCanvas() {
+    const copy = document.createElement('canvas');
+    copy.width = this.canvas.width;
+    copy.height = this.canvas.height;
+    copy.getContext('2d').drawImage(this.canvas, 0, 0);
+    return copy;
+  }
+
+  drawFrame(source, sourceWidth, sourceHeight, width, height, options) {
+    const ctx = this.context;
+    this.canvas.width = width;
+    this.canvas.height = height;
+    
+    if (options.fit === 'stretch') {
+      ctx.drawImage(source, 0, 0, width, height);
+      return;
+    }
+    
+    if (options.fit === 'contain') {
+      if (options.fill.blur) {
+        this.drawBlurredFill(source, sourceWidth, sourceHeight, width, height);
+      } else {
+        ctx.fillStyle = options.fill.color;
+        ctx.fillRect(0, 0, width, height);
+      }
+      const scale = Math.min(width / sourceWidth, height / sourceHeight);
+      const drawWidth = sourceWidth * scale;
+      const drawHeight = sourceHeight * scale;
+      ctx.drawImage(source, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+      return;
+    }
+    
+    const crop = options.crop || this.getCenteredCrop(sourceWidth, sourceHeight, width / height);
+    ctx.drawImage(
+      source,
+      crop.x * sourceWidth,
+      crop.y * sourceHeight,
+      crop.width * sourceWidth,
+      crop.height * sourceHeight,
+      0,
+      0,
+      width,
+      height
+    );
+  }
+
+  drawBlurredFill(source, sourceWidth, sourceHeight, width, height) {
+    const small = document.createElement('canvas');
+    small.width = 32;
+    small.height = Math.max(1, Math.round(32 * height / width));
+    const smallCtx = small.getContext('2d');
+    const crop = this.getCenteredCrop(sourceWidth, sourceHeight, width / height);
+    smallCtx.drawImage(
+      source,
+      crop.x * sourceWidth,
+      crop.y * sourceHeight,
+      crop.width * sourceWidth,
+      crop.height * sourceHeight,
+      0,
+      0,
+      small.width,
+      small.height
+    );
+    
+    this.context.imageSmoothingEnabled = true;
+    this.context.imageSmoothingQuality = 'high';
+    this.context.drawImage(small, 0, 0, width, height);
+    this.context.fillStyle = 'rgba(0, 0, 0, 0.35)';
+    this.context.fillRect(0, 0, width, height);
+  }
+
+  fitCrop(crop, sourceWidth, sourceHeight, aspect) {
+    if (!crop) {
+      return this.getCenteredCrop(sourceWidth, sourceHeight, aspect);
+    }
+    
+    const cropWidth = crop.width * sourceWidth;
+    const cropHeight = crop.height * sourceHeight;
+    if (Math.abs(cropWidth / cropHeight - aspect) < 0.001) {
+      return { ...crop };
+    }
+    
+    let pixelWidth = Math.sqrt(cropWidth * cropHeight * aspect);
+    let pixelHeight = pixelWidth / aspect;
+    const scale = Math.min(1, sourceWidth / pixelWidth, sourceHeight / pixelHeight);
+    pixelWidth *= scale;
+    pixelHeight *= scale;
+    
+    const width = pixelWidth / sourceWidth;
+    const height = pixelHeight / sourceHeight;
+    const centerX = crop.x + crop.width / 2;
+    const centerY = crop.y + crop.height / 2;
+    
+    return {
+      x: Math.max(0, Math.min(1 - width, centerX - width / 2)),
+      y: Math.max(0, Math.min(1 - height, centerY - height / 2)),
+      width,
+      height
+    };
+  }
+
+  getCenteredCrop(sourceWidth, sourceHeight, aspect) {
+    const sourceAspect = sourceWidth / sourceHeight;
+    if (sourceAspect > aspect) {
+      const cropWidth = aspect / sourceAspect;
+      return { x: (1 - cropWidth) / 2, y: 0, width: cropWidth, height: 1 };
+    }
+    const cropHeight = sourceAspect / aspect;
+    return { x: 0, y: (1 - cropHeight) / 2, width: 1, height: cropHeight };
+  }
+
+  getMimeType(format) {
+    const types = {
+      'png': 'image/png',
+      'jpeg': 'image/jpeg',
+      'webp': 'image/webp'
+    };
+    return types[format] || 'image/png';
+  }
+
+  formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+  }
+
+  remove(index) {
+    const [removed] = this.thumbnails.splice(index, 1);
+    if (removed) {
+      this.discard(removed);
+      this.selection.delete(removed);
+    }
+    if (this.selectedIndex === index) {
+      this.selectedIndex = -1;
+    } else if (this.selectedIndex > index) {
+      this.selectedIndex--;
+    }
+  }
+
+  removeMany(thumbnails) {
+    const selected = this.getSelected();
+    const remove = new Set(thumbnails);
+    
+    thumbnails.forEach(thumbnail => {
+      this.discard(thumbnail);
+      this.selection.delete(thumbnail);
+    });
+    this.thumbnails = this.thumbnails.filter(thumbnail => !remove.has(thumbnail));
+    this.selectedIndex = this.thumbnails.indexOf(selected);
+  }
+
+  move(fromIndex, toIndex) {
+    const selected = this.getSelected();
+    const [moved] = this.thumbnails.splice(fromIndex, 1);
+    if (!moved) return;
+    
+    this.thumbnails.splice(Math.max(0, Math.min(toIndex, this.thumbnails.length)), 0, moved);
+    this.selectedIndex = this.thumbnails.indexOf(selected);
+  }
+
+  indexOfId(id) {
+    return this.thumbnails.findIndex(thumbnail => String(thumbnail.id) === String(id));
+  }
+
+  select(index) {
+    this.selectedIndex = index;
+    this.selection = new Set(this.thumbnails[index] ? [this.thumbnails[index]] : []);
+    return this.thumbnails[index];
+  }
+
+  toggleSelection(index) {
+    const thumbnail = this.thumbnails[index];
+    if (!thumbnail) return null;
+    
+    if (this.selection.has(thumbnail)) {
+      this.selection.delete(thumbnail);
+      if (this.selectedIndex === index) {
+        const next = this.getSelection()[0];
+        this.selectedIndex = next ? this.thumbnails.indexOf(next) : -1;
+      }
+    } else {
+      this.selection.add(thumbnail);
+      this.selectedIndex = index;
+    }
+    return this.getSelected();
+  }
+
+  selectRange(fromIndex, toIndex) {
+    const start = Math.max(0, Math.min(fromIndex, toIndex));
+    const end = Math.min(this.thumbnails.length - 1, Math.max(fromIndex, toIndex));
+    
+    for (let i = start; i <= end; i++) {
+      this.selection.add(this.thumbnails[i]);
+    }
+    this.selectedIndex = toIndex;
+    return this.getSelected();
+  }
+
+  selectAll() {
+    this.selection = new Set(this.thumbnails);
+    if (this.selectedIndex < 0 && this.thumbnails.length > 0) {
+      this.selectedIndex = 0;
+    }
+  }
+
+  clearSelection() {
+    this.selection = new Set();
+    this.selectedIndex = -1;
+  }
+
+  isSelected(thumbnail) {
+    return this.selection.has(thumbnail);
+  }
+
+  getSelection() {
+    return this.thumbnails.filter(thumbnail => this.selection.has(thumbnail));
+  }
+
+  getState() {
+    return {
+      thumbnails: this.thumbnails.slice(),
+      selection: this.getSelection(),
+      selectedIndex: this.selectedIndex
+    };
+  }
+
+  setState(state) {
+    const keep = new Set(state.thumbnails);
+    this.thumbnails.filter(thumbnail => !keep.has(thumbnail)).forEach(thumbnail => this.discard(thumbnail));
+    state.thumbnails.filter(thumbnail => !thumbnail.url && thumbnail.blob).forEach(thumbnail => this.setBlob(thumbnail, thumbnail.blob));
+    
+    this.thumbnails = state.thumbnails.slice();
+    this.selection = new Set(state.selection);
+    this.selectedIndex = state.selectedIndex;
+  }
+
+  getSelected() {
+    if (this.selectedIndex >= 0 && this.selectedIndex < this.thumbnails.length) {
+      return this.thumbnails[this.selectedIndex];
+    }
+    return null;
+  }
+
+  sortBy(order) {
+    const selected = this.getSelected();
+    const compare = order === 'score'
+      ? (a, b) => b.score.total - a.score.total
+      : (a, b) => a.id - b.id;
+    
+    this.thumbnails.sort(compare);
+    this.selectedIndex = this.thumbnails.indexOf(selected);
+  }
+
+  keepTop(count) {
+    const keep = new Set(
+      this.thumbnails
+        .slice()
+        .sort((a, b) => b.score.total - a.score.total)
+        .slice(0, count)
+    );
+    
+    this.removeMany(this.thumbnails.filter(thumbnail => !keep.has(thumbnail)));
+  }
+
+  clear() {
+    this.thumbnails.forEach(thumbnail => this.discard(thumbnail));
+    this.thumbnails = [];
+    this.selectedIndex = -1;
+    this.selection = new Set();
+  }
+
+  getCount() {
+    return this.thumbnails.length;
+  }
+
+  getAll() {
+    return this.thumbnails;
+  }
+}
+
+class GalleryHistory {
+  constructor(limit = 30) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  record(state) {
+    this.undoStack.push(state);
+    if (this.undoStack.length > this.limit) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+  }
+
+  undo(current) {
+    if (this.undoStack.length === 0) return null;
+    this.redoStack.push(current);
+    return this.undoStack.pop();
+  }
+
+  redo(current) {
+    if (this.redoStack.length === 0) return null;
+    this.undoStack.push(current);
+    return this.redoStack.pop();
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
+
+class OverlayRenderer {
+  constructor() {
+    this.images = new Map();
+    this.measureContext = document.createElement('canvas').getContext('2d');
+  }
+
+  loadImage(src) {
+    if (this.images.has(src)) {
+      return Promise.resolve(this.images.get(src));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.onload = () => {
+        this.images.set(src, img);
+        resolve(img);
+      };
+      img.onerror = () => reject(new Error('Could not load overlay image'));
+      img.src = src;
+    });
+  }
+
+  draw(ctx, layers, width, height) {
+    layers.forEach(layer => {
+      ctx.save();
+      ctx.globalAlpha = layer.opacity;
+      
+      if (layer.type === 'text') {
+        this.drawText(ctx, layer, width, height);
+      } else if (layer.type === 'image') {
+        this.drawImageLayer(ctx, layer, width, height);
+      } else if (layer.type === 'shape') {
+        this.drawShape(ctx, layer, width, height);
+      }
+      
+      ctx.restore();
+    });
+  }
+
+  getFont(layer, height) {
+    return `${layer.fontWeight} ${layer.size * height}px ${layer.fontFamily}`;
+  }
+
+  drawText(ctx, layer, width, height) {
+    const fontSize = layer.size * height;
+    const lineHeight = fontSize * 1.2;
+    const x = layer.x * width;
+    const y = layer.y * height;
+    
+    ctx.font = this.getFont(layer, height);
+    ctx.textBaseline = 'top';
+    ctx.lineJoin = 'round';
+    
+    layer.text.split('\n').forEach((line, i) => {
+      const lineY = y + i * lineHeight + (lineHeight - fontSize) / 2;
+      
+      if (layer.shadow) {
+        ctx.shadowColor = layer.shadowColor;
+        ctx.shadowBlur = fontSize * 0.15;
+        ctx.shadowOffsetX = fontSize * 0.04;
+        ctx.shadowOffsetY = fontSize * 0.04;
+      }
+      
+      if (layer.strokeWidth > 0) {
+        ctx.lineWidth = fontSize * layer.strokeWidth;
+        ctx.strokeStyle = layer.strokeColor;
+        ctx.strokeText(line, x, lineY);
+        ctx.shadowColor = 'transparent';
+      }
+      
+      ctx.fillStyle = layer.color;
+      ctx.fillText(line, x, lineY);
+      ctx.shadowColor = 'transparent';
+    });
+  }
+
+  drawImageLayer(ctx, layer, width, height) {
+    const img = this.images.get(layer.src);
+    if (!img) return;
+    
+    const bounds = this.getBounds(layer, width, height);
+    ctx.drawImage(img, bounds.x, bounds.y, bounds.width, bounds.height);
+  }
+
+  drawShape(ctx, layer, width, height) {
+    const bounds = this.getBounds(layer, width, height);
+    
+    ctx.beginPath();
+    if (layer.shape === 'ellipse') {
+      ctx.ellipse(
+        bounds.x + bounds.width / 2,
+        bounds.y + bounds.height / 2,
+        bounds.width / 2,
+        bounds.height / 2,
+        0,
+        0,
+        Math.PI * 2
+      );
+    } else {
+      ctx.rect(bounds.x, bounds.y, bounds.width, bounds.height);
+    }
+    
+    ctx.fillStyle = layer.fill;
+    ctx.fill();
+    
+    if (layer.strokeWidth > 0) {
+      ctx.lineWidth = layer.strokeWidth * Math.min(width, height);
+      ctx.strokeStyle = layer.strokeColor;
+      ctx.stroke();
+    }
+  }
+
+  getBounds(layer, width, height) {
+    const x = layer.x * width;
+    const y = layer.y * height;
+    
+    if (layer.type === 'text') {
+      this.measureContext.font = this.getFont(layer, height);
+      const lines = layer.text.split('\n');
+      const textWidth = Math.max(...lines.map(line => this.measureContext.measureText(line).width));
+      return { x, y, width: textWidth, height: lines.length * layer.size * height * 1.2 };
+    }
+    
+    if (layer.type === 'image') {
+      const img = this.images.get(layer.src);
+      const imageWidth = layer.width * width;
+      const imageHeight = img ? imageWidth * img.naturalHeight / img.naturalWidth : imageWidth;
+      return { x, y, width: imageWidth, height: imageHeight };
+    }
+    
+    return { x, y, width: layer.width * width, height: layer.height * height };
+  }
+}
+
+class OverlayEditor {
+  constructor(stage, canvas, renderer) {
+    this.stage = stage;
+    this.canvas = canvas;
+    this.context = canvas.getContext('2d');
+    this.renderer = renderer;
+    this.thumbnail = null;
+    this.background = null;
+    this.selectedId = null;
+    this.drag = null;
+    this.maxHeight = 240;
+    this.handleSize = 10;
+    this.onChangeCallback = null;
+    this.onSelectCallback = null;
+    
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.canvas.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    window.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    window.addEventListener('pointerup', () => this.handlePointerUp());
+    window.addEventListener('resize', () => this.layout());
+  }
+
+  createLayer(type, props = {}) {
+    const defaults = {
+      text: {
+        type: 'text',
+        text: 'Your Title',
+        fontFamily: 'Impact, sans-serif',
+        fontWeight: 'bold',
+        size: 0.12,
+        color: '#ffffff',
+        strokeColor: '#000000',
+        strokeWidth: 0.08,
+        shadow: true,
+        shadowColor: '#000000',
+        x: 0.05,
+        y: 0.05
+      },
+      image: {
+        type: 'image',
+        src: '',
+        width: 0.2,
+        x: 0.75,
+        y: 0.05
+      },
+      rect: {
+        type: 'shape',
+        shape: 'rect',
+        fill: '#ef4444',
+        strokeColor: '#ffffff',
+        strokeWidth: 0,
+        width: 0.3,
+        height: 0.15,
+        x: 0.05,
+        y: 0.75
+      },
+      ellipse: {
+        type: 'shape',
+        shape: 'ellipse',
+        fill: '#facc15',
+        strokeColor: '#ffffff',
+        strokeWidth: 0,
+        width: 0.15,
+        height: 0.25,
+        x: 0.8,
+        y: 0.7
+      }
+    };
+    
+    return {
+      id: Date.now() + Math.random(),
+      opacity: 1,
+      ...defaults[type],
+      ...props
+    };
+  }
+
+  setThumbnail(thumbnail) {
+    if (thumbnail !== this.thumbnail) {
+      this.background = null;
+    }
+    this.thumbnail = thumbnail;
+    if (!this.getSelected()) {
+      this.selectedId = null;
+    }
+    this.layout();
+    this.notifySelect();
+  }
+
+  setBackground(background) {
+    this.background = background;
+    this.render();
+  }
+
+  getLayers() {
+    return this.thumbnail ? this.thumbnail.layers : [];
+  }
+
+  getSelected() {
+    return this.getLayers().find(layer => layer.id === this.selectedId) || null;
+  }
+
+  selectLayer(id) {
+    this.selectedId = id;
+    this.render();
+    this.notifySelect();
+  }
+
+  addLayer(layer) {
+    if (!this.thumbnail) return;
+    this.thumbnail.layers.push(layer);
+    this.selectLayer(layer.id);
+    this.commit();
+  }
+
+  updateSelected(props) {
+    const layer = this.getSelected();
+    if (!layer) return;
+    Object.assign(layer, props);
+    this.render();
+    this.commit();
+  }
+
+  removeSelected() {
+    const layers = this.getLayers();
+    const index = layers.indexOf(this.getSelected());
+    if (index === -1) return;
+    layers.splice(index, 1);
+    this.selectLayer(null);
+    this.commit();
+  }
+
+  moveSelected(direction) {
+    const layers = this.getLayers();
+    const index = layers.indexOf(this.getSelected());
+    const target = index + direction;
+    if (index === -1 || target < 0 || target >= layers.length) return;
+    [layers[index], layers[target]] = [layers[target], layers[index]];
+    this.render();
+    this.commit();
+  }
+
+  notifySelect() {
+    if (this.onSelectCallback) {
+      this.onSelectCallback(this.getSelected());
+    }
+  }
+
+  commit() {
+    if (this.onChangeCallback && this.thumbnail) {
+      this.onChangeCallback(this.thumbnail);
+    }
+  }
+
+  layout() {
+    if (!this.thumbnail) return;
+    
+    const available = this.stage.parentElement.clientWidth || this.thumbnail.width;
+    const scale = Math.min(available / this.thumbnail.width, this.maxHeight / this.thumbnail.height);
+    const width = Math.max(1, Math.round(this.thumbnail.width * scale));
+    const height = Math.max(1, Math.round(this.thumbnail.height * scale));
+    const pixelRatio = window.devicePixelRatio || 1;
+    
+    this.stage.style.width = `${width}px`;
+    this.stage.style.height = `${height}px`;
+    this.canvas.width = Math.round(width * pixelRatio);
+    this.canvas.height = Math.round(height * pixelRatio);
+    this.render();
+  }
+
+  render() {
+    if (!this.thumbnail || !this.context) return;
+    
+    const ctx = this.context;
+    const { width, height } = this.canvas;
+    ctx.clearRect(0, 0, width, height);
+    if (this.background) {
+      ctx.drawImage(this.background, 0, 0, width, height);
+    }
+    this.renderer.draw(ctx, this.thumbnail.layers, width, height);
+    
+    const layer = this.getSelected();
+    if (!layer) return;
+    
+    const bounds = this.renderer.getBounds(layer, width, height);
+    const pixelRatio = window.devicePixelRatio || 1;
+    const handle = this.handleSize * pixelRatio;
+    
+    ctx.save();
+    ctx.strokeStyle = '#0ea5e9';
+    ctx.lineWidth = 1.5 * pixelRatio;
+    ctx.setLineDash([6 * pixelRatio, 4 * pixelRatio]);
+    ctx.strokeRect(bounds.x, bounds.y, bounds.width, bounds.height);
+    ctx.fillStyle = '#0ea5e9';
+    ctx.fillRect(bounds.x + bounds.width - handle / 2, bounds.y + bounds.height - handle / 2, handle, handle);
+    ctx.restore();
+  }
+
+  getPointer(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x: (e.clientX - rect.left) * this.canvas.width / rect.width,
+      y: (e.clientY - rect.top) * this.canvas.height / rect.height
+    };
+  }
+
+  hitTest(point) {
+    const layers = this.getLayers();
+    for (let i = layers.length - 1; i >= 0; i--) {
+      const bounds = this.renderer.getBounds(layers[i], this.canvas.width, this.canvas.height);
+      if (point.x >= bounds.x && point.x <= bounds.x + bounds.width &&
+          point.y >= bounds.y && point.y <= bounds.y + bounds.height) {
+        return layers[i];
+      }
+    }
+    return null;
+  }
+
+  isOnHandle(layer, point) {
+    const bounds = this.renderer.getBounds(layer, this.canvas.width, this.canvas.height);
+    const reach = this.handleSize * (window.devicePixelRatio || 1);
+    return Math.abs(point.x - (bounds.x + bounds.width)) <= reach &&
+      Math.abs(point.y - (bounds.y + bounds.height)) <= reach;
+  }
+
+  handlePointerDown(e) {
+    if (!this.thumbnail) return;
+    e.preventDefault();
+    
+    const point = this.getPointer(e);
+    const selected = this.getSelected();
+    const layer = selected && this.isOnHandle(selected, point) ? selected : this.hitTest(point);
+    
+    this.selectLayer(layer ? layer.id : null);
+    if (!layer) return;
+    
+    this.drag = {
+      mode: layer === selected && this.isOnHandle(layer, point) ? 'resize' : 'move',
+      start: point,
+      layer: { ...layer },
+      bounds: this.renderer.getBounds(layer, this.canvas.width, this.canvas.height),
+      moved: false
+    };
+  }
+
+  handlePointerMove(e) {
+    if (!this.drag) return;
+    
+    const layer = this.getSelected();
+    if (!layer) return;
+    
+    const point = this.getPointer(e);
+    const dx = point.x - this.drag.start.x;
+    const dy = point.y - this.drag.start.y;
+    const start = this.drag.layer;
+    
+    if (this.drag.mode === 'move') {
+      layer.x = start.x + dx / this.canvas.width;
+      layer.y = start.y + dy / this.canvas.height;
+    } else if (layer.type === 'shape') {
+      layer.width = Math.max(0.02, start.width + dx / this.canvas.width);
+      layer.height = Math.max(0.02, start.height + dy / this.canvas.height);
+    } else {
+      const factor = Math.max(0.1, (this.drag.bounds.width + dx) / this.drag.bounds.width);
+      if (layer.type === 'text') {
+        layer.size = start.size * factor;
+      } else {
+        layer.width = start.width * factor;
+      }
+    }
+    
+    this.drag.moved = true;
+    this.render();
+  }
+
+  handlePointerUp() {
+    if (!this.drag) return;
+    
+    const moved = this.drag.moved;
+    this.drag = null;
+    if (moved) {
+      this.notifySelect();
+      this.commit();
+    }
+  }
+}
+
+class ThumbnailViewer {
+  constructor(stage, content, image, zonesLayer) {
+    this.stage = stage;
+    this.content = content;
+    this.image = image;
+    this.zonesLayer = zonesLayer;
+    this.width = 0;
+    this.height = 0;
+    this.zoom = 1;
+    this.offset = { x: 0, y: 0 };
+    this.minZoom = 0.05;
+    this.maxZoom = 16;
+    this.fitted = true;
+    this.drag = null;
+    this.onZoomCallback = null;
+    
+    this.setupEventListeners();
+  }
+
+  setupEventListeners() {
+    this.stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+    window.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+    window.addEventListener('pointerup', () => this.handlePointerUp());
+    this.stage.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      this.zoomBy(e.deltaY < 0 ? 1.25 : 0.8, e.clientX, e.clientY);
+    }, { passive: false });
+    this.stage.addEventListener('dblclick', (e) => {
+      if (this.fitted) {
+        this.actualSize(e.clientX, e.clientY);
+      } else {
+        this.fit();
+      }
+    });
+    window.addEventListener('resize', () => {
+      if (this.fitted) this.fit();
+    });
+  }
+
+  open(url, width, height) {
+    this.image.src = url;
+    this.width = width;
+    this.height = height;
+    this.fit();
+  }
+
+  getPixelRatio() {
+    return window.devicePixelRatio || 1;
+  }
+
+  getPixelZoom() {
+    return this.zoom * this.getPixelRatio();
+  }
+
+  fit() {
+    const rect = this.stage.getBoundingClientRect();
+    if (!this.width || !this.height || !rect.width || !rect.height) return;
+    
+    this.zoom = Math.min(rect.width / this.width, rect.height / this.height);
+    this.offset = {
+      x: (rect.width - this.width * this.zoom) / 2,
+      y: (rect.height - this.height * this.zoom) / 2
+    };
+    this.fitted = true;
+    this.layout();
+  }
+
+  actualSize(clientX, clientY) {
+    this.setZoom(1 / this.getPixelRatio(), clientX, clientY);
+  }
+
+  zoomBy(factor, clientX, clientY) {
+    this.setZoom(this.zoom * factor, clientX, clientY);
+  }
+
+  setZoom(zoom, clientX, clientY) {
+    const rect = this.stage.getBoundingClientRect();
+    const anchorX = clientX === undefined ? rect.width / 2 : clientX - rect.left;
+    const anchorY = clientY === undefined ? rect.height / 2 : clientY - rect.top;
+    const next = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+    const imageX = (anchorX - this.offset.x) / this.zoom;
+    const imageY = (anchorY - this.offset.y) / this.zoom;
+    
+    this.zoom = next;
+    this.offset = {
+      x: anchorX - imageX * next,
+      y: anchorY - imageY * next
+    };
+    this.fitted = false;
+    this.layout();
+  }
+
+  clampOffset() {
+    const rect = this.stage.getBoundingClientRect();
+    const clampAxis = (offset, size, view) => size <= view
+      ? (view - size) / 2
+      : Math.max(view - size, Math.min(0, offset));
+    
+    this.offset = {
+      x: clampAxis(this.offset.x, this.width * this.zoom, rect.width),
+      y: clampAxis(this.offset.y, this.height * this.zoom, rect.height)
+    };
+  }
+
+  layout() {
+    this.clampOffset();
+    this.content.style.left = `${this.offset.x}px`;
+    this.content.style.top = `${this.offset.y}px`;
+    this.content.style.width = `${this.width * this.zoom}px`;
+    this.content.style.height = `${this.height * this.zoom}px`;
+    this.image.style.imageRendering = this.getPixelZoom() >= 2 ? 'pixelated' : 'auto';
+    
+    if (this.onZoomCallback) {
+      this.onZoomCallback(this.getPixelZoom());
+    }
+  }
+
+  setZones(zones) {
+    this.zonesLayer.innerHTML = '';
+    (zones || []).forEach(zone => {
+      const element = document.createElement('div');
+      element.className = 'safe-zone';
+      element.style.left = `${zone.x * 100}%`;
+      element.style.top = `${zone.y * 100}%`;
+      element.style.width = `${zone.width * 100}%`;
+      element.style.height = `${zone.height * 100}%`;
+      
+      const label = document.createElement('span');
+      label.textContent = zone.label;
+      element.appendChild(label);
+      this.zonesLayer.appendChild(element);
+    });
+  }
+
+  handlePointerDown(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    
+    this.drag = {
+      startX: e.clientX,
+      startY: e.clientY,
+      offset: { ...this.offset }
+    };
+    this.stage.classList.add('panning');
+  }
+
+  handlePointerMove(e) {
+    if (!this.drag) return;
+    
+    this.offset = {
+      x: this.drag.offset.x + e.clientX - this.drag.startX,
+      y: this.drag.offset.y + e.clientY - this.drag.startY
+    };
+    this.fitted = false;
+    this.layout();
+  }
+
+  handlePointerUp() {
+    if (!this.drag) return;
+    this.drag = null;
+    this.stage.classList.remove('panning');
+  }
+}
+
+class AnimationEncoder {
+  encodeGif(frames, { delay, loop }) {
+    const { GIFEncoder, quantize, applyPalette } = gifenc;
+    const gif = GIFEncoder();
+    
+    frames.forEach(frame => {
+      const { width, height } = frame;
+      const data = frame.getContext('2d').getImageData(0, 0, width, height).data;
+      const palette = quantize(data, 256);
+      const index = applyPalette(data, palette);
+      gif.writeFrame(index, width, height, { palette, delay, repeat: loop ? 0 : -1 });
+    });
+    
+    gif.finish();
+    return new Blob([gif.bytes()], { type: 'image/gif' });
+  }
+
+  async encodeWebp(frames, { delay, loop, quality }) {
+    const { width, height } = frames[0];
+    const chunks = [];
+    let hasAlpha = false;
+    
+    for (const frame of frames) {
+      const blob = await new Promise(resolve => frame.toBlob(resolve, 'image/webp', quality));
+      const frameChunks = this.readWebpChunks(new Uint8Array(await blob.arrayBuffer()));
+      hasAlpha = hasAlpha || frameChunks.some(chunk => chunk.type === 'ALPH');
+      
+      const header = new Uint8Array(16);
+      this.writeUint24(header, 6, width - 1);
+      this.writeUint24(header, 9, height - 1);
+      this.writeUint24(header, 12, delay);
+      header[15] = 0x02;
+      
+      chunks.push(this.createChunk('ANMF', this.concat([
+        header,
+        ...frameChunks.map(chunk => this.createChunk(chunk.type, chunk.data))
+      ])));
+    }
+    
+    const vp8x = new Uint8Array(10);
+    vp8x[0] = 0x02 | (hasAlpha ? 0x10 : 0);
+    this.writeUint24(vp8x, 4, width - 1);
+    this.writeUint24(vp8x, 7, height - 1);
+    
+    const anim = new Uint8Array(6);
+    anim[4] = loop ? 0 : 1;
+    
+    const body = this.concat([
+      new TextEncoder().encode('WEBP'),
+      this.createChunk('VP8X', vp8x),
+      this.createChunk('ANIM', anim),
+      ...chunks
+    ]);
+    
+    return new Blob([this.createChunk('RIFF', body)], { type: 'image/webp' });
+  }
+
+  readWebpChunks(bytes) {
+    const decoder = new TextDecoder();
+    if (decoder.decode(bytes.subarray(0, 4)) !== 'RIFF' || decoder.decode(bytes.subarray(8, 12)) !== 'WEBP') {
+      throw new Error('This browser cannot encode WebP images');
+    }
+    
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const chunks = [];
+    let offset = 12;
+    
+    while (offset + 8 <= bytes.length) {
+      const type = decoder.decode(bytes.subarray(offset, offset + 4));
+      const size = view.getUint32(offset + 4, true);
+      if (['ALPH', 'VP8 ', 'VP8L'].includes(type)) {
+        chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + size) });
+      }
+      offset += 8 + size + (size % 2);
+    }
+    
+    return chunks;
+  }
+
+  createChunk(type, data) {
+    const padding = data.length % 2;
+    const chunk = new Uint8Array(8 + data.length + padding);
+    chunk.set(new TextEncoder().encode(type), 0);
+    new DataView(chunk.buffer).setUint32(4, data.length, true);
+    chunk.set(data, 8);
+    return chunk;
+  }
+
+  writeUint24(bytes, offset, value) {
+    bytes[offset] = value & 0xff;
+    bytes[offset + 1] = (value >> 8) & 0xff;
+    bytes[offset + 2] = (value >> 16) & 0xff;
+  }
+
+  concat(arrays) {
+    const result = new Uint8Array(arrays.reduce((total, array) => total + array.length, 0));
+    let offset = 0;
+    arrays.forEach(array => {
+      result.set(array, offset);
+      offset += array.length;
+    });
+    return result;
+  }
+}
+
+class ComplianceChecker {
+  constructor(presetManager, thumbnailGenerator) {
+    this.presetManager = presetManager;
+    this.thumbnailGenerator = thumbnailGenerator;
+    this.formatNames = { png: 'PNG', jpeg: 'JPEG', webp: 'WebP' };
+  }
+
+  getTarget(presetKey, width, height) {
+    const key = presetKey && presetKey !== 'custom' && this.presetManager.presets[presetKey]
+      ? presetKey
+      : this.presetManager.findBySize(width, height);
+    return key ? { key, ...this.presetManager.presets[key] } : null;
+  }
+
+  check(rendered, preset) {
+    const rules = preset && preset.rules;
+    if (!rules) return [];
+    
+    const issues = [];
+    const { width, height, format, bytes } = rendered;
+    
+    if (rules.formats && rules.formats.length > 0 && !rules.formats.includes(format)) {
+      issues.push(`${this.formatNames[format] || format} is not accepted by ${preset.name} (use ${rules.formats.map(f => this.formatNames[f] || f).join(' or ')})`);
+    }
+    if (rules.maxBytes && bytes > rules.maxBytes) {
+      issues.push(`${this.thumbnailGenerator.formatSize(bytes)} is over the ${this.thumbnailGenerator.formatSize(rules.maxBytes)} limit for ${preset.name}`);
+    }
+    if ((rules.minWidth && width < rules.minWidth) || (rules.minHeight && height < rules.minHeight)) {
+      issues.push(`${width}x${height} is below the ${rules.minWidth || 1}x${rules.minHeight || 1} minimum for ${preset.name}`);
+    }
+    
+    const ratio = width / height;
+    if ((rules.minRatio && ratio < rules.minRatio * 0.99) || (rules.maxRatio && ratio > rules.maxRatio * 1.01)) {
+      issues.push(`${this.presetManager.calculateRatio(width, height)} is outside the aspect ratio range for ${preset.name}`);
+    }
+    
+    return issues;
+  }
+
+  checkThumbnail(thumbnail) {
+    const preset = this.getTarget(thumbnail.preset, thumbnail.width, thumbnail.height);
+    const issues = thumbnail.blob
+      ? this.check({ width: thumbnail.width, height: thumbnail.height, format: thumbnail.format, bytes: thumbnail.blob.size }, preset)
+      : [];
+    return { preset, issues };
+  }
+
+  getFitFormats(format, rules) {
+    const allowed = rules.formats && rules.formats.length > 0 ? rules.formats : null;
+    return [format, 'jpeg', 'webp', 'png'].filter((candidate, index, list) => {
+      return list.indexOf(candidate) === index && (!allowed || allowed.includes(candidate));
+    });
+  }
+
+  getFitQualities(format, quality) {
+    if (format === 'png') return [quality];
+    
+    const qualities = [quality];
+    while (quality > 0.5) {
+      quality = Math.max(0.5, Math.round((quality - 0.1) * 100) / 100);
+      qualities.push(quality);
+    }
+    return qualities;
+  }
+}
+
+class MockupRenderer {
+  constructor(presetManager, thumbnailGenerator) {
+    this.presetManager = presetManager;
+    this.thumbnailGenerator = thumbnailGenerator;
+    this.scale = 2;
+    this.font = 'Roboto, Arial, sans-serif';
+    this.mockups = {
+      'youtube-home': { name: 'YouTube Home', preset: 'youtube' },
+      'youtube-search': { name: 'YouTube Search', preset: 'youtube' },
+      'instagram-grid': { name: 'Instagram Grid', preset: 'instagram' },
+      'twitter-card': { name: 'Twitter/X Card', preset: 'twitter' }
+    };
+    this.defaults = {
+      title: 'Your video title goes here',
+      channel: 'Your Channel',
+      views: '12K views',
+      age: '2 days ago',
+      duration: '10:24',
+      description: 'The first lines of the video description are shown here in search results.'
+    };
+    this.cache = null;
+  }
+
+  getEntries() {
+    return Object.entries(this.mockups).map(([key, mockup]) => ({ key, ...mockup }));
+  }
+
+  async getImage(thumbnail, preset) {
+    const cache = this.cache;
+    if (cache && cache.thumbnail === thumbnail && cache.url === thumbnail.url &&
+        cache.width === preset.width && cache.height === preset.height) {
+      return cache.image;
+    }
+    
+    const image = await this.thumbnailGenerator.renderCanvas(thumbnail, preset.width, preset.height);
+    this.cache = { thumbnail, url: thumbnail.url, width: preset.width, height: preset.height, image };
+    return image;
+  }
+
+  async render(key, thumbnail, text = {}) {
+    const mockup = this.mockups[key];
+    if (!mockup) {
+      throw new Error(`Unknown mockup "${key}"`);
+    }
+    
+    const image = await this.getImage(thumbnail, this.presetManager.getPreset(mockup.preset));
+    const content = { ...this.defaults };
+    Object.entries(text).forEach(([field, value]) => {
+      if (typeof value === 'string' && value.trim()) content[field] = value.trim();
+    });
+    
+    switch (key) {
+      case 'youtube-home':
+        return this.drawYouTubeHome(image, content);
+      case 'youtube-search':
+        return this.drawYouTubeSearch(image, content);
+      case 'instagram-grid':
+        return this.drawInstagramGrid(image, content);
+      default:
+        return this.drawTwitterCard(image, content);
+    }
+  }
+
+  drawYouTubeHome(image, content) {
+    const width = 400;
+    const pad = 16;
+    const thumbWidth = width - pad * 2;
+    const thumbHeight = thumbWidth * image.height / image.width;
+    const textTop = pad + thumbHeight + 12;
+    const ctx = this.createContext(width, textTop + 70 + pad, '#0f0f0f');
+    
+    this.drawImage(ctx, image, pad, pad, thumbWidth, thumbHeight, 12);
+    this.drawBadge(ctx, content.duration, pad + thumbWidth - 6, pad + thumbHeight - 6);
+    this.drawAvatar(ctx, content.channel, pad, textTop, 36);
+    
+    ctx.fillStyle = '#f1f1f1';
+    ctx.font = `500 16px ${this.font}`;
+    this.drawLines(ctx, this.wrapText(ctx, content.title, thumbWidth - 72, 2), pad + 48, textTop, 22);
+    
+    ctx.fillStyle = '#aaaaaa';
+    ctx.font = `14px ${this.font}`;
+    this.drawLines(ctx, this.wrapText(ctx, `${content.channel} · ${content.views} · ${content.age}`, thumbWidth - 72, 1), pad + 48, textTop + 48, 20);
+    this.drawMenu(ctx, width - pad - 4, textTop + 2);
+    
+    return ctx.canvas;
+  }
+
+  drawYouTubeSearch(image, content) {
+    const pad = 16;
+    const thumbWidth = 360;
+    const thumbHeight = thumbWidth * image.height / image.width;
+    const textLeft = pad + thumbWidth + 16;
+    const textWidth = 420;
+    const ctx = this.createContext(textLeft + textWidth + pad, Math.max(thumbHeight, 170) + pad * 2, '#0f0f0f');
+    
+    this.drawImage(ctx, image, pad, pad, thumbWidth, thumbHeight, 12);
+    this.drawBadge(ctx, content.duration, pad + thumbWidth - 6, pad + thumbHeight - 6);
+    
+    ctx.fillStyle = '#f1f1f1';
+    ctx.font = `18px ${this.font}`;
+    this.drawLines(ctx, this.wrapText(ctx, content.title, textWidth - 24, 2), textLeft, pad, 26);
+    this.drawMenu(ctx, textLeft + textWidth - 4, pad + 2);
+    
+    ctx.fillStyle = '#aaaaaa';
+    ctx.font = `12px ${this.font}`;
+    ctx.fillText(`${content.views} · ${content.age}`, textLeft, pad + 58);
+    
+    this.drawAvatar(ctx, content.channel, textLeft, pad + 82, 24);
+    ctx.fillStyle = '#aaaaaa';
+    ctx.fillText(content.channel, textLeft + 32, pad + 88);
+    this.drawLines(ctx, this.wrapText(ctx, content.description, textWidth - 24, 2), textLeft, pad + 120, 18);
+    
+    return ctx.canvas;
+  }
+
+  drawInstagramGrid(image, content) {
+    const width = 375;
+    const gap = 2;
+    const tileWidth = (width - gap * 2) / 3;
+    const tileHeight = tileWidth * 4 / 3;
+    const gridTop = 150;
+    const ctx = this.createContext(width, gridTop + tileHeight * 2 + gap, '#000000');
+    const handle = this.getHandle(content.channel).slice(1);
+    
+    ctx.strokeStyle = '#d62976';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.arc(16 + 40, 20 + 40, 42, 0, Math.PI * 2);
+    ctx.stroke();
+    this.drawAvatar(ctx, content.channel, 20, 24, 72);
+    
+    ctx.fillStyle = '#f5f5f5';
+    ctx.font = `600 16px ${this.font}`;
+    ctx.fillText(handle, 116, 26, width - 132);
+    
+    [['12', 'posts'], ['1,234', 'followers'], ['321', 'following']].forEach(([value, label], index) => {
+      const x = 116 + index * 84;
+      ctx.fillStyle = '#f5f5f5';
+      ctx.font = `600 15px ${this.font}`;
+      ctx.fillText(value, x, 58);
+      ctx.fillStyle = '#a8a8a8';
+      ctx.font = `13px ${this.font}`;
+      ctx.fillText(label, x, 78);
+    });
+    
+    ctx.fillStyle = '#f5f5f5';
+    ctx.font = `13px ${this.font}`;
+    ctx.fillText(this.wrapText(ctx, content.title, width - 32, 1)[0] || '', 16, 112);
+    ctx.fillStyle = '#262626';
+    ctx.fillRect(0, gridTop - 8, width, 1);
+    
+    for (let index = 0; index < 6; index++) {
+      const x = (index % 3) * (tileWidth + gap);
+      const y = gridTop + Math.floor(index / 3) * (tileHeight + gap);
+      if (index === 0) {
+        this.drawImage(ctx, image, x, y, tileWidth, tileHeight, 0);
+      } else {
+        ctx.fillStyle = '#1c1c1c';
+        ctx.fillRect(x, y, tileWidth, tileHeight);
+      }
+    }
+    
+    return ctx.canvas;
+  }
+
+  drawTwitterCard(image, content) {
+    const width = 598;
+    const left = 68;
+    const cardWidth = width - left - 16;
+    const cardHeight = cardWidth * image.height / image.width;
+    const cardTop = 84;
+    const ctx = this.createContext(width, cardTop + cardHeight + 52, '#000000');
+    
+    this.drawAvatar(ctx, content.channel, 16, 12, 40);
+    
+    ctx.fillStyle = '#e7e9ea';
+    ctx.font = `bold 15px ${this.font}`;
+    ctx.fillText(content.channel, left, 14, cardWidth / 2);
+    const nameWidth = Math.min(ctx.measureText(content.channel).width, cardWidth / 2);
+    
+    ctx.fillStyle = '#71767b';
+    ctx.font = `15px ${this.font}`;
+    ctx.fillText(`${this.getHandle(content.channel)} · 2h`, left + nameWidth + 4, 14, cardWidth - nameWidth - 4);
+    
+    ctx.fillStyle = '#e7e9ea';
+    this.drawLines(ctx, this.wrapText(ctx, content.title, cardWidth, 2), left, 36, 20);
+    
+    this.drawImage(ctx, image, left, cardTop, cardWidth, cardHeight, 16);
+    ctx.strokeStyle = '#2f3336';
+    ctx.lineWidth = 1;
+    this.roundRectPath(ctx, left + 0.5, cardTop + 0.5, cardWidth - 1, cardHeight - 1, 16);
+    ctx.stroke();
+    
+    ctx.fillStyle = '#71767b';
+    ctx.font = `13px ${this.font}`;
+    ['12', '34', '567', '8.9K'].forEach((count, index) => {
+      const x = left + index * (cardWidth / 4);
+      ctx.beginPath();
+      ctx.arc(x + 8, cardTop + cardHeight + 24, 7, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillText(count, x + 22, cardTop + cardHeight + 18);
+    });
+    
+    return ctx.canvas;
+  }
+
+  createContext(width, height, background) {
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * this.scale);
+    canvas.height = Math.round(height * this.scale);
+    
+    const ctx = canvas.getContext('2d');
+    ctx.scale(this.scale, this.scale);
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+    ctx.textBaseline = 'top';
+    return ctx;
+  }
+
+  drawImage(ctx, image, x, y, width, height, radius) {
+    const scale = Math.max(width / image.width, height / image.height);
+    const sourceWidth = width / scale;
+    const sourceHeight = height / scale;
+    
+    ctx.save();
+    this.roundRectPath(ctx, x, y, width, height, radius);
+    ctx.clip();
+    ctx.drawImage(
+      image,
+      (image.width - sourceWidth) / 2, (image.height - sourceHeight) / 2, sourceWidth, sourceHeight,
+      x, y, width, height
+    );
+    ctx.restore();
+  }
+
+  roundRectPath(ctx, x, y, width, height, radius) {
+    const r = Math.min(radius, width / 2, height / 2);
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + width, y, x + width, y + height, r);
+    ctx.arcTo(x + width, y + height, x, y + height, r);
+    ctx.arcTo(x, y + height, x, y, r);
+    ctx.arcTo(x, y, x + width, y, r);
+    ctx.closePath();
+  }
+
+  drawBadge(ctx, label, right, bottom) {
+    ctx.font = `500 12px ${this.font}`;
+    const width = ctx.measureText(label).width + 8;
+    const height = 18;
+    
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    this.roundRectPath(ctx, right - width, bottom - height, width, height, 4);
+    ctx.fill();
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(label, right - width + 4, bottom - height + 3);
+  }
+
+  drawAvatar(ctx, name, x, y, size) {
+    ctx.fillStyle = '#3f51b5';
+    ctx.beginPath();
+    ctx.arc(x + size / 2, y + size / 2, size / 2, 0, Math.PI * 2);
+    ctx.fill();
+    
+    ctx.fillStyle = '#ffffff';
+    ctx.font = `500 ${Math.round(size * 0.45)}px ${this.font}`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(name.charAt(0).toUpperCase(), x + size / 2, y + size / 2);
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+  }
+
+  drawMenu(ctx, x, y) {
+    ctx.fillStyle = '#f1f1f1';
+    for (let i = 0; i < 3; i++) {
+      ctx.beginPath();
+      ctx.arc(x, y + 4 + i * 5, 1.5, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  drawLines(ctx, lines, x, y, lineHeight) {
+    lines.forEach((line, index) => ctx.fillText(line, x, y + index * lineHeight));
+  }
+
+  wrapText(ctx, text, maxWidth, maxLines) {
+    const words = text.split(/\s+/).filter(Boolean);
+    const lines = [];
+    let line = '';
+    
+    for (let i = 0; i < words.length; i++) {
+      const candidate = line ? `${line} ${words[i]}` : words[i];
+      if (!line || ctx.measureText(candidate).width <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      
+      if (lines.length === maxLines - 1) {
+        line = `${line} ${words.slice(i).join(' ')}`;
+        break;
+      }
+      lines.push(line);
+      line = words[i];
+    }
+    if (line) lines.push(line);
+    
+    const last = lines.length - 1;
+    if (last >= 0 && ctx.measureText(lines[last]).width > maxWidth) {
+      let truncated = lines[last];
+      while (truncated.length > 1 && ctx.measureText(`${truncated}…`).width > maxWidth) {
+        truncated = truncated.slice(0, -1);
+      }
+      lines[last] = `${truncated.trimEnd()}…`;
+    }
+    return lines;
+  }
+
+  getHandle(name) {
+    return `@${name.toLowerCase().replace(/[^a-z0-9_]/g, '') || 'channel'}`;
+  }
+}
+
+class ExportManager {
+  constructor(thumbnailGenerator, presetManager, complianceChecker) {
+    this.thumbnailGenerator = thumbnailGenerator;
+    this.presetManager = presetManager;
+    this.complianceChecker = complianceChecker;
+    this.autoFit = false;
+    this.format = 'png';
+    this.quality = 0.92;
+    this.size = null;
+    this.presets = [];
+    this.sprites = null;
+    this.filenameTemplate = 'thumbnail_{index}_{time}_{w}x{h}';
+    this.folderName = 'thumbnails';
+    this.animationEncoder = new AnimationEncoder();
+  }
+
+  setFormat(format) {
+    this.format = format;
+  }
+
+  setQuality(quality) {
+    this.quality = quality / 100;
+  }
+
+  setSize(size) {
+    this.size = size;
+  }
+
+  setPresets(presets) {
+    this.presets = presets;
+  }
+
+  setAutoFit(autoFit) {
+    this.autoFit = autoFit;
+  }
+
+  setNaming(filenameTemplate, folderName) {
+    this.filenameTemplate = filenameTemplate.trim() || 'thumbnail_{index}_{time}_{w}x{h}';
+    this.folderName = this.sanitizeName(folderName) || 'thumbnails';
+  }
+
+  getTokens(thumbnail, index, rendered, preset) {
+    const time = thumbnail.time.toFixed(2).replace('.', '_');
+    const timecode = thumbnail.timecode || this.formatVttTime(thumbnail.time).slice(0, 8);
+    
+    return {
+      source: thumbnail.source ? this.getFolderName(thumbnail.source.name) : 'thumbnail',
+      index: String(index + 1).padStart(3, '0'),
+      time,
+      timecode: timecode.replace(/[:;]/g, '-'),
+      frame: Number.isInteger(thumbnail.frame) ? thumbnail.frame : '',
+      preset: preset ? preset.key : (this.presetManager.findBySize(rendered.width, rendered.height) || 'custom'),
+      w: rendered.width,
+      h: rendered.height,
+      width: rendered.width,
+      height: rendered.height,
+      format: this.getExtension(rendered.format)
+    };
+  }
+
+  getFilename(thumbnail, index, rendered, preset) {
+    const tokens = this.getTokens(thumbnail, index, rendered, preset);
+    const name = this.filenameTemplate.replace(/\{(\w+)\}/g, (match, key) => (key in tokens ? tokens[key] : match));
+    return `${this.sanitizeName(name) || `thumbnail_${tokens.index}`}.${this.getExtension(rendered.format)}`;
+  }
+
+  sanitizeName(name) {
+    return name.replace(/[\\/:*?"<>|]+/g, '_').trim();
+  }
+
+  getUniqueName(used, name) {
+    let unique = name;
+    for (let i = 2; used.has(unique); i++) {
+      unique = name.replace(/(\.[^.]+)$/, `_${i}$1`);
+    }
+    used.add(unique);
+    return unique;
+  }
+
+  getRenderSettings(thumbnail, size = this.size) {
+    return {
+      width: size ? size.width : thumbnail.width,
+      height: size ? size.height : thumbnail.height,
+      format: this.format,
+      quality: this.quality
+    };
+  }
+
+  async renderThumbnail(thumbnail, preset) {
+    const settings = this.getRenderSettings(thumbnail, preset);
+    const target = preset || this.complianceChecker.getTarget(this.size ? null : thumbnail.preset, settings.width, settings.height);
+    
+    let rendered = { ...settings, blob: await this.thumbnailGenerator.renderBlob(thumbnail, settings) };
+    if (this.autoFit && target && target.rules) {
+      rendered = await this.fitToRules(thumbnail, rendered, target.rules);
+    }
+    
+    const issues = this.complianceChecker.check({ ...rendered, bytes: rendered.blob.size }, target);
+    return { ...rendered, target, issues };
+  }
+
+  async fitToRules(thumbnail, rendered, rules) {
+    const fits = (candidate) => !rules.maxBytes || candidate.blob.size <= rules.maxBytes;
+    const formats = this.complianceChecker.getFitFormats(rendered.format, rules);
+    if (formats[0] === rendered.format && fits(rendered)) return rendered;
+    
+    const canvas = await this.thumbnailGenerator.renderCanvas(thumbnail, rendered.width, rendered.height);
+    let fitted = rendered;
+    
+    for (const format of formats) {
+      for (const quality of this.complianceChecker.getFitQualities(format, rendered.quality)) {
+        if (format === rendered.format && quality === rendered.quality) continue;
+        const blob = await this.thumbnailGenerator.encoder.encode(canvas, this.thumbnailGenerator.getMimeType(format), quality);
+        fitted = { ...rendered, format, quality, blob };
+        if (fits(fitted)) return fitted;
+      }
+    }
+    return fitted;
+  }
+
+  getExtension(format = this.format) {
+    return format === 'jpeg' ? 'jpg' : format;
+  }
+
+  async downloadSingle(thumbnail, index = 0) {
+    const rendered = await this.renderThumbnail(thumbnail);
+    saveAs(rendered.blob, this.getFilename(thumbnail, index, rendered, null));
+  }
+
+  setSprites(sprites) {
+    this.sprites = sprites;
+  }
+
+  canvasToBlob(canvas) {
+    return this.thumbnailGenerator.encoder.encode(canvas, this.thumbnailGenerator.getMimeType(this.format), this.quality);
+  }
+
+  async downloadCanvas(canvas, filename) {
+    const blob = await this.canvasToBlob(canvas);
+    saveAs(blob, `${filename}.${this.getExtension()}`);
+  }
+
+  getSpriteName(index) {
+    return `sprite_${String(index + 1).padStart(3, '0')}.${this.getExtension()}`;
+  }
+
+  buildVtt(cues) {
+    const lines = ['WEBVTT', ''];
+    cues.forEach(cue => {
+      lines.push(`${this.formatVttTime(cue.start)} --> ${this.formatVttTime(cue.end)}`);
+      lines.push(`${this.getSpriteName(cue.sheet)}#xywh=${cue.x},${cue.y},${cue.width},${cue.height}`);
+      lines.push('');
+    });
+    return lines.join('\n');
+  }
+
+  formatVttTime(seconds) {
+    const total = Math.round(seconds * 1000);
+    const hours = Math.floor(total / 3600000);
+    const mins = Math.floor((total % 3600000) / 60000);
+    const secs = Math.floor((total % 60000) / 1000);
+    const ms = total % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}.${String(ms).padStart(3, '0')}`;
+  }
+
+  async addSprites(zip, entries) {
+    const folder = zip.folder('sprites');
+    
+    for (let i = 0; i < this.sprites.sheets.length; i++) {
+      const sheet = this.sprites.sheets[i];
+      const blob = await this.canvasToBlob(sheet);
+      folder.file(this.getSpriteName(i), blob);
+      entries.push({ file: `sprites/${this.getSpriteName(i)}`, width: sheet.width, height: sheet.height, format: this.getExtension(), bytes: blob.size });
+    }
+    
+    const vtt = this.buildVtt(this.sprites.cues);
+    folder.file('thumbnails.vtt', vtt);
+    entries.push({ file: 'sprites/thumbnails.vtt', format: 'vtt', bytes: new Blob([vtt]).size });
+  }
+
+  buildManifest(entries) {
+    return JSON.stringify({
+      generator: 'ThumbCraft',
+      created: new Date().toISOString(),
+      template: this.filenameTemplate,
+      files: entries
+    }, null, 2);
+  }
+
+  buildCsv(entries) {
+    const columns = ['file', 'source', 'time', 'timecode', 'frame', 'preset', 'width', 'height', 'format', 'bytes', 'issues'];
+    const escape = (value) => {
+      const text = value === undefined || value === null ? '' : (Array.isArray(value) ? value.join('; ') : String(value));
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    
+    return [
+      columns.join(','),
+      ...entries.map(entry => columns.map(column => escape(entry[column])).join(','))
+    ].join('\n');
+  }
+
+  async downloadAnimation(frames, options, filename = 'animation') {
+    if (frames.length === 0) return;
+    
+    const blob = options.format === 'webp'
+      ? await this.animationEncoder.encodeWebp(frames, { ...options, quality: this.quality })
+      : this.animationEncoder.encodeGif(frames, options);
+    saveAs(blob, `${filename}.${options.format === 'webp' ? 'webp' : 'gif'}`);
+  }
+
+  groupBySource(thumbnails) {
+    const groups = new Map();
+    thumbnails.forEach(thumb => {
+      const name = thumb.source && thumb.source.type !== 'youtube' ? thumb.source.name : '';
+      if (!groups.has(name)) groups.set(name, []);
+      groups.get(name).push(thumb);
+    });
+    return groups;
+  }
+
+  getFolderName(sourceName) {
+    return this.sanitizeName(sourceName.replace(/\.[^.]+$/, '')) || 'untitled';
+  }
+
+  downloadSelected(thumbnails) {
+    if (thumbnails.length === 1) {
+      return this.downloadSingle(thumbnails[0], this.thumbnailGenerator.getAll().indexOf(thumbnails[0]));
+    }
+    return this.downloadAll(thumbnails, { archiveName: `${this.folderName}_selected`, includeSprites: false });
+  }
+
+  async downloadAll(thumbnails, options = {}) {
+    const { archiveName = this.folderName, includeSprites = true } = options;
+    const sprites = includeSprites && this.sprites;
+    if (thumbnails.length === 0 && !sprites) return;
+    
+    const zip = new JSZip();
+    const targets = this.presets.length > 0 ? this.presets : [null];
+    const entries = [];
+    
+    if (sprites) {
+      await this.addSprites(zip, entries);
+    }
+    
+    const groups = this.groupBySource(thumbnails);
+    
+    for (const [sourceName, group] of groups) {
+      const sourcePath = groups.size > 1 ? `${this.folderName}/${this.getFolderName(sourceName)}` : this.folderName;
+      
+      for (const preset of targets) {
+        const path = preset ? `${sourcePath}/${preset.key}` : sourcePath;
+        const folder = zip.folder(path);
+        const used = new Set();
+        
+        for (let index = 0; index < group.length; index++) {
+          const thumb = group[index];
+          const rendered = await this.renderThumbnail(thumb, preset || undefined);
+          const name = this.getUniqueName(used, this.getFilename(thumb, index, rendered, preset));
+          const tokens = this.getTokens(thumb, index, rendered, preset);
+          
+          folder.file(name, rendered.blob);
+          entries.push({
+            file: `${path}/${name}`,
+            source: thumb.source ? thumb.source.name : '',
+            time: Number(thumb.time.toFixed(3)),
+            timecode: thumb.timecode || '',
+            frame: Number.isInteger(thumb.frame) ? thumb.frame : null,
+            preset: tokens.preset,
+            width: rendered.width,
+            height: rendered.height,
+            format: tokens.format,
+            bytes: rendered.blob.size,
+            issues: rendered.issues
+          });
+        }
+      }
+    }
+    
+    zip.file('manifest.json', this.buildManifest(entries));
+    zip.file('manifest.csv', this.buildCsv(entries));
+    
+    const content = await zip.generateAsync({ type: 'blob' });
+    saveAs(content, `${archiveName}.zip`);
+  }
+}
+
+class TemplateManager {
+  constructor(storageKey = 'thumbcraft-templates') {
+    this.storageKey = storageKey;
+    this.fitModes = ['cover', 'contain', 'stretch'];
+    this.layerTypes = ['text', 'image', 'shape'];
+    this.templates = this.load();
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.storageKey));
+      return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+      return [];
+    }
+  }
+
+  persist() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.templates));
+  }
+
+  getAll() {
+    return this.templates;
+  }
+
+  get(id) {
+    return this.templates.find(template => template.id === id) || null;
+  }
+
+  createId() {
+    return `template-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  add(data) {
+    const template = { ...this.normalize(data), id: this.createId() };
+    this.templates.push(template);
+    this.persist();
+    return template;
+  }
+
+  createFromThumbnail(name, thumbnail) {
+    return this.add({
+      name,
+      preset: thumbnail.preset,
+      width: thumbnail.width,
+      height: thumbnail.height,
+      fit: thumbnail.fit,
+      fill: thumbnail.fill,
+      layers: thumbnail.layers,
+      adjustments: thumbnail.adjustments
+    });
+  }
+
+  delete(id) {
+    this.templates = this.templates.filter(template => template.id !== id);
+    this.persist();
+  }
+
+  normalize(data) {
+    if (!data || typeof data !== 'object') {
+      throw new Error('Template must be an object');
+    }
+    
+    const name = typeof data.name === 'string' ? data.name.trim() : '';
+    const width = parseInt(data.width);
+    const height = parseInt(data.height);
+    if (!name) {
+      throw new Error('Template needs a name');
+    }
+    if (!(width > 0 && height > 0)) {
+      throw new Error(`Template "${name}" has an invalid size`);
+    }
+    if (!this.fitModes.includes(data.fit)) {
+      throw new Error(`Template "${name}" has an unknown fit mode`);
+    }
+    if (data.layers !== undefined && !Array.isArray(data.layers)) {
+      throw new Error(`Template "${name}" has invalid layers`);
+    }
+    
+    return {
+      name,
+      preset: typeof data.preset === 'string' ? data.preset : null,
+      width,
+      height,
+      fit: data.fit,
+      fill: { color: '#000000', blur: false, ...data.fill },
+      layers: (data.layers || []).map(layer => this.normalizeLayer(layer, name)),
+      adjustments: { ...data.adjustments }
+    };
+  }
+
+  normalizeLayer(layer, name) {
+    if (!layer || !this.layerTypes.includes(layer.type)) {
+      throw new Error(`Template "${name}" has an unknown layer type`);
+    }
+    if (layer.type === 'image' && !(typeof layer.src === 'string' && layer.src.startsWith('data:image/'))) {
+      throw new Error(`Template "${name}" has an image layer that is not embedded`);
+    }
+    
+    const { id, ...rest } = layer;
+    return rest;
+  }
+
+  getSettings(template) {
+    return {
+      preset: template.preset || null,
+      width: template.width,
+      height: template.height,
+      fit: template.fit,
+      fill: { ...template.fill },
+      layers: template.layers.map(layer => ({ ...layer, id: Date.now() + Math.random() })),
+      adjustments: { ...template.adjustments }
+    };
+  }
+
+  serialize(template) {
+    const { id, ...data } = template;
+    return JSON.stringify({ type: 'thumbcraft-template', version: 1, ...data }, null, 2);
+  }
+
+  import(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+    
+    const entries = (Array.isArray(data) ? data : [data]).map(entry => this.normalize(entry));
+    return entries.map(entry => this.add(entry));
+  }
+}
+
+class SessionStore {
+  constructor(name = 'thumbcraft') {
+    this.name = name;
+    this.db = null;
+    this.fields = [
+      'id', 'source', 'time', 'frame', 'timecode', 'preset', 'width', 'height', 'format', 'quality',
+      'fit', 'fill', 'crop', 'adjustments', 'layers', 'score', 'size', 'isYoutube', 'label',
+      'originalWidth', 'originalHeight'
+    ];
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+    
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.name, 1);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore('sessions', { keyPath: 'id' });
+        const thumbnails = db.createObjectStore('thumbnails', { keyPath: ['sessionId', 'id'] });
+        thumbnails.createIndex('sessionId', 'sessionId');
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve(this.db);
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async transaction(stores, mode, work) {
+    const db = await this.open();
+    const tx = db.transaction(stores, mode);
+    const result = work(tx);
+    
+    await new Promise((resolve, reject) => {
+      tx.oncomplete = resolve;
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+    return result;
+  }
+
+  async listSessions() {
+    const sessions = await this.transaction(['sessions'], 'readonly', (tx) => {
+      const result = [];
+      tx.objectStore('sessions').openCursor().onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (cursor) {
+          result.push(cursor.value);
+          cursor.continue();
+        }
+      };
+      return result;
+    });
+    
+    return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+  }
+
+  async save(session, thumbnails) {
+    const records = thumbnails.map((thumbnail, i) => this.toRecord(session.id, thumbnail, i));
+    
+    const bytes = records.reduce((sum, record) => sum + record.image.size + record.original.size, 0);
+    const stored = { ...session, count: records.length, bytes, updatedAt: Date.now() };
+    
+    await this.transaction(['sessions', 'thumbnails'], 'readwrite', (tx) => {
+      const store = tx.objectStore('thumbnails');
+      const keep = new Set(records.map(record => record.id));
+      
+      store.index('sessionId').openCursor(IDBKeyRange.only(session.id)).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (!cursor) return;
+        if (!keep.has(cursor.value.id)) {
+          cursor.delete();
+        }
+        cursor.continue();
+      };
+      
+      records.forEach(record => store.put(record));
+      tx.objectStore('sessions').put(stored);
+    });
+    
+    return stored;
+  }
+
+  toRecord(sessionId, thumbnail, order) {
+    const meta = {};
+    this.fields.forEach(field => {
+      if (thumbnail[field] !== undefined) {
+        meta[field] = thumbnail[field];
+      }
+    });
+    
+    return {
+      sessionId,
+      id: thumbnail.id,
+      order,
+      meta,
+      image: thumbnail.blob,
+      original: thumbnail.original
+    };
+  }
+
+  async load(sessionId) {
+    const records = await this.transaction(['thumbnails'], 'readonly', (tx) => {
+      const result = [];
+      tx.objectStore('thumbnails').index('sessionId').openCursor(IDBKeyRange.only(sessionId)).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (cursor) {
+          result.push(cursor.value);
+          cursor.continue();
+        }
+      };
+      return result;
+    });
+    
+    records.sort((a, b) => a.order - b.order);
+    
+    const thumbnails = [];
+    for (const record of records) {
+      const thumbnail = { ...record.meta, original: record.original, blob: record.image };
+      if (!thumbnail.originalWidth) {
+        const bitmap = await createImageBitmap(record.original);
+        thumbnail.originalWidth = bitmap.width;
+        thumbnail.originalHeight = bitmap.height;
+        bitmap.close();
+      }
+      thumbnails.push(thumbnail);
+    }
+    return thumbnails;
+  }
+
+  async delete(sessionId) {
+    await this.transaction(['sessions', 'thumbnails'], 'readwrite', (tx) => {
+      tx.objectStore('sessions').delete(sessionId);
+      tx.objectStore('thumbnails').index('sessionId').openCursor(IDBKeyRange.only(sessionId)).onsuccess = (e) => {
+        const cursor = e.target.result;
+        if (cursor) {
+          cursor.delete();
+          cursor.continue();
+        }
+      };
+    });
+  }
+
+  async clear() {
+    await this.transaction(['sessions', 'thumbnails'], 'readwrite', (tx) => {
+      tx.objectStore('sessions').clear();
+      tx.objectStore('thumbnails').clear();
+    });
+  }
+}
+
+class ServiceWorkerManager {
+  constructor(scriptURL = 'sw.js') {
+    this.scriptURL = scriptURL;
+    this.registration = null;
+    this.reloading = false;
+    this.onUpdateCallback = null;
+  }
+
+  isSupported() {
+    return 'serviceWorker' in navigator && location.protocol !== 'file:';
+  }
+
+  async register() {
+    if (!this.isSupported()) return null;
+    
+    const hadController = Boolean(navigator.serviceWorker.controller);
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!hadController || this.reloading) return;
+      this.reloading = true;
+      location.reload();
+    });
+    
+    try {
+      this.registration = await navigator.serviceWorker.register(this.scriptURL);
+    } catch (error) {
+      console.error('Service worker registration failed:', error);
+      return null;
+    }
+    
+    if (this.registration.waiting && hadController) {
+      this.notifyUpdate();
+    }
+    
+    this.registration.addEventListener('updatefound', () => {
+      const worker = this.registration.installing;
+      if (!worker) return;
+      
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.notifyUpdate();
+        }
+      });
+    });
+    
+    return this.registration;
+  }
+
+  notifyUpdate() {
+    if (this.onUpdateCallback) {
+      this.onUpdateCallback();
+    }
+  }
+
+  applyUpdate() {
+    const waiting = this.registration && this.registration.waiting;
+    if (waiting) {
+      waiting.postMessage({ type: 'SKIP_WAITING' });
+    } else {
+      location.reload();
+    }
+  }
+}
+
+class UIController {
+  constructor() {
+    this.presetManager = new PresetManager();
+    this.videoManager = new VideoManager(document.getElementById('video'));
+    this.overlayRenderer = new OverlayRenderer();
+    this.imageEncoder = new ImageEncoder();
+    this.imageAdjuster = new ImageAdjuster();
+    this.thumbnailGenerator = new ThumbnailGenerator(
+      document.getElementById('canvas'),
+      this.overlayRenderer,
+      new FrameScorer(),
+      this.imageEncoder,
+      this.imageAdjuster,
+      new SmartCropper()
+    );
+    this.complianceChecker = new ComplianceChecker(this.presetManager, this.thumbnailGenerator);
+    this.mockupRenderer = new MockupRenderer(this.presetManager, this.thumbnailGenerator);
+    this.exportManager = new ExportManager(this.thumbnailGenerator, this.presetManager, this.complianceChecker);
+    this.youtubeFetcher = new YouTubeThumbnailFetcher();
+    this.cropSelector = new CropSelector(document.getElementById('video'), document.getElementById('crop-overlay'));
+    this.sceneDetector = new SceneDetector(this.videoManager);
+    this.captureQueue = new CaptureQueue(this.videoManager);
+    this.trimRanges = new TrimRanges();
+    this.sourceQueue = new SourceQueue();
+    this.contactSheetBuilder = new ContactSheetBuilder(this.videoManager, this.captureQueue);
+    this.spriteSheetBuilder = new SpriteSheetBuilder(this.videoManager, this.captureQueue);
+    this.sessionStore = new SessionStore();
+    this.templateManager = new TemplateManager();
+    this.serviceWorkerManager = new ServiceWorkerManager();
+    
+    this.overlayEditor = new OverlayEditor(
+      document.getElementById('preview-stage'),
+      document.getElementById('preview-canvas'),
+      this.overlayRenderer
+    );
+    
+    this.thumbnailViewer = new ThumbnailViewer(
+      document.getElementById('viewer-stage'),
+      document.getElementById('viewer-content'),
+      document.getElementById('viewer-image'),
+      document.getElementById('viewer-zones')
+    );
+    
+    this.galleryHistory = new GalleryHistory();
+    this.comparePair = [];
+    this.compareMode = 'side';
+    this.viewerMode = 'zoom';
+    this.mockupKey = 'youtube-home';
+    this.mockupCanvas = null;
+    this.dragIndex = -1;
+    this.flattenTimeout = null;
+    this.editingPreset = null;
+    this.adjustTimeout = null;
+    this.adjustPreviewFrame = null;
+    this.captureAdjustments = this.imageAdjuster.getDefaults();
+    this.session = null;
+    this.pendingSession = null;
+    this.restoring = false;
+    this.saveTimeout = null;
+    this.saveChain = Promise.resolve();
+    this.elements = this.cacheElements();
+    
+    this.setupEventListeners();
+    this.setupVideoCallbacks();
+    this.setupOverlayEditor();
+    this.setupAdjustments();
+    this.setupTemplates();
+    this.setupPresetManager();
+    this.renderPresetButtons();
+    this.renderBatchPresets();
+    this.setupSessions();
+    this.setupServiceWorker();
+  }
+
+  cacheElements() {
+    return {
+      sourceFile: document.getElementById('source_file'),
+      sourceUrl: document.getElementById('source_url'),
+      sourceYoutube: document.getElementById('source_youtube'),
+      fileInputSection: document.getElementById('file-input-section'),
+      urlInputSection: document.getElementById('url-input-section'),
+      youtubeInputSection: document.getElementById('youtube-input-section'),
+      videoFile: document.getElementById('videofile'),
+      videoUrl: document.getElementById('videourl'),
+      youtubeUrl: document.getElementById('youtubeurl'),
+      loadUrlBtn: document.getElementById('load-url-btn'),
+      fetchYoutubeBtn: document.getElementById('fetch-youtube-btn'),
+      youtubeThumbnails: document.getElementById('youtube-thumbnails'),
+      youtubeThumbGrid: document.getElementById('youtube-thumb-grid'),
+      videoPlaceholder: document.getElementById('video-placeholder'),
+      videoControls: document.getElementById('video-controls'),
+      videoInfo: document.getElementById('video-info'),
+      infoSize: document.getElementById('info-size'),
+      infoDuration: document.getElementById('info-duration'),
+      infoPosition: document.getElementById('info-position'),
+      infoFps: document.getElementById('info-fps'),
+      infoFrame: document.getElementById('info-frame'),
+      infoTimecode: document.getElementById('info-timecode'),
+      timeline: document.getElementById('timeline'),
+      trimTrack: document.getElementById('trim-track'),
+      trimInBtn: document.getElementById('trim-in-btn'),
+      trimOutBtn: document.getElementById('trim-out-btn'),
+      trimList: document.getElementById('trim-list'),
+      trimSummary: document.getElementById('trim-summary'),
+      trimClearBtn: document.getElementById('trim-clear-btn'),
+      playPauseBtn: document.getElementById('play-pause-btn'),
+      playIcon: document.getElementById('play-icon'),
+      pauseIcon: document.getElementById('pause-icon'),
+      presetButtons: document.getElementById('preset-buttons'),
+      presetBtns: [],
+      presetsManageBtn: document.getElementById('presets-manage-btn'),
+      presetsModal: document.getElementById('presets-modal'),
+      presetsCloseBtn: document.getElementById('presets-close-btn'),
+      presetsList: document.getElementById('presets-list'),
+      presetForm: document.getElementById('preset-form'),
+      presetName: document.getElementById('preset-name'),
+      presetWidth: document.getElementById('preset-width'),
+      presetHeight: document.getElementById('preset-height'),
+      presetFormat: document.getElementById('preset-format'),
+      presetQuality: document.getElementById('preset-quality'),
+      presetRatio: document.getElementById('preset-ratio'),
+      presetMaxMb: document.getElementById('preset-max-mb'),
+      presetMinWidth: document.getElementById('preset-min-width'),
+      presetMinHeight: document.getElementById('preset-min-height'),
+      presetRuleFormats: document.querySelectorAll('[data-preset-rule-format]'),
+      presetLockRatio: document.getElementById('preset-lock-ratio'),
+      presetCancelBtn: document.getElementById('preset-cancel-btn'),
+      presetSubmitBtn: document.getElementById('preset-submit-btn'),
+      presetsImportInput: document.getElementById('presets-import-input'),
+      presetsExportBtn: document.getElementById('presets-export-btn'),
+      outputWidth: document.getElementById('output-width'),
+      outputHeight: document.getElementById('output-height'),
+      lockRatio: document.getElementById('lock-ratio'),
+      ratioDisplay: document.getElementById('ratio-display'),
+      fitMode: document.getElementById('fit-mode'),
+      fillOptions: document.getElementById('fill-options'),
+      fillColor: document.getElementById('fill-color'),
+      fillBlur: document.getElementById('fill-blur'),
+      resetCropBtn: document.getElementById('reset-crop-btn'),
+      smartCropOption: document.getElementById('smart-crop-option'),
+      smartCrop: document.getElementById('smart-crop'),
+      thumbnailCrop: document.getElementById('thumbnail-crop'),
+      cropSmartBtn: document.getElementById('crop-smart-btn'),
+      cropCenterBtn: document.getElementById('crop-center-btn'),
+      snapBtn: document.getElementById('snap-btn'),
+      autoSnapBtn: document.getElementById('auto-snap-btn'),
+      snapInterval: document.getElementById('snap-interval'),
+      captureProgress: document.getElementById('capture-progress'),
+      captureProgressBar: document.getElementById('capture-progress-bar'),
+      captureProgressText: document.getElementById('capture-progress-text'),
+      sceneOptions: document.getElementById('scene-options'),
+      sheetColumns: document.getElementById('sheet-columns'),
+      sheetTileWidth: document.getElementById('sheet-tile-width'),
+      sheetHeader: document.getElementById('sheet-header'),
+      contactSheetBtn: document.getElementById('contact-sheet-btn'),
+      spriteInterval: document.getElementById('sprite-interval'),
+      spriteTileWidth: document.getElementById('sprite-tile-width'),
+      spriteColumns: document.getElementById('sprite-columns'),
+      spriteRows: document.getElementById('sprite-rows'),
+      spriteBtn: document.getElementById('sprite-btn'),
+      spriteStatus: document.getElementById('sprite-status'),
+      spriteStatusText: document.getElementById('sprite-status-text'),
+      spriteDiscardBtn: document.getElementById('sprite-discard-btn'),
+      animSource: document.getElementById('anim-source'),
+      animRange: document.getElementById('anim-range'),
+      animStart: document.getElementById('anim-start'),
+      animEnd: document.getElementById('anim-end'),
+      animFromPlayheadBtn: document.getElementById('anim-from-playhead-btn'),
+      animFps: document.getElementById('anim-fps'),
+      animWidth: document.getElementById('anim-width'),
+      animFormat: document.getElementById('anim-format'),
+      animLoop: document.getElementById('anim-loop'),
+      animExportBtn: document.getElementById('anim-export-btn'),
+      sceneSensitivity: document.getElementById('scene-sensitivity'),
+      sensitivityValue: document.getElementById('sensitivity-value'),
+      sceneMax: document.getElementById('scene-max'),
+      exportFormat: document.getElementById('export-format'),
+      exportQuality: document.getElementById('export-quality'),
+      qualityValue: document.getElementById('quality-value'),
+      exportSize: document.getElementById('export-size'),
+      autoFit: document.getElementById('auto-fit'),
+      filenameTemplate: document.getElementById('filename-template'),
+      zipFolder: document.getElementById('zip-folder'),
+      batchPresets: document.getElementById('batch-presets'),
+      rerenderAllBtn: document.getElementById('rerender-all-btn'),
+      gallerySort: document.getElementById('gallery-sort'),
+      keepTopCount: document.getElementById('keep-top-count'),
+      keepTopBtn: document.getElementById('keep-top-btn'),
+      templateSelect: document.getElementById('template-select'),
+      templateApplyBtn: document.getElementById('template-apply-btn'),
+      templateApplyAllBtn: document.getElementById('template-apply-all-btn'),
+      templateSaveBtn: document.getElementById('template-save-btn'),
+      templateExportBtn: document.getElementById('template-export-btn'),
+      templateImportInput: document.getElementById('template-import-input'),
+      templateDeleteBtn: document.getElementById('template-delete-btn'),
+      thumbnailsGrid: document.getElementById('thumbnails-grid'),
+      selectAllBtn: document.getElementById('select-all-btn'),
+      compareBtn: document.getElementById('compare-btn'),
+      removeSelectedBtn: document.getElementById('remove-selected-btn'),
+      undoBtn: document.getElementById('undo-btn'),
+      redoBtn: document.getElementById('redo-btn'),
+      compareModal: document.getElementById('compare-modal'),
+      compareSide: document.getElementById('compare-side'),
+      compareSplit: document.getElementById('compare-split'),
+      compareSplitA: document.getElementById('compare-split-a'),
+      compareSplitLine: document.getElementById('compare-split-line'),
+      compareSplitRange: document.getElementById('compare-split-range'),
+      compareSwapBtn: document.getElementById('compare-swap-btn'),
+      compareCloseBtn: document.getElementById('compare-close-btn'),
+      viewerOpenBtn: document.getElementById('viewer-open-btn'),
+      viewerModal: document.getElementById('viewer-modal'),
+      viewerCaption: document.getElementById('viewer-caption'),
+      viewerStage: document.getElementById('viewer-stage'),
+      viewerMobile: document.getElementById('viewer-mobile'),
+      viewerZoomControls: document.getElementById('viewer-zoom-controls'),
+      viewerZoom: document.getElementById('viewer-zoom'),
+      viewerZoomInBtn: document.getElementById('viewer-zoom-in-btn'),
+      viewerZoomOutBtn: document.getElementById('viewer-zoom-out-btn'),
+      viewerFitBtn: document.getElementById('viewer-fit-btn'),
+      viewerActualBtn: document.getElementById('viewer-actual-btn'),
+      viewerZonesSelect: document.getElementById('viewer-zones-select'),
+      viewerCloseBtn: document.getElementById('viewer-close-btn'),
+      mockupOpenBtn: document.getElementById('mockup-open-btn'),
+      mockupModal: document.getElementById('mockup-modal'),
+      mockupStage: document.getElementById('mockup-stage'),
+      mockupTitle: document.getElementById('mockup-title'),
+      mockupChannel: document.getElementById('mockup-channel'),
+      mockupExportBtn: document.getElementById('mockup-export-btn'),
+      mockupCloseBtn: document.getElementById('mockup-close-btn'),
+      thumbCount: document.getElementById('thumb-count'),
+      previewContainer: document.getElementById('preview-container'),
+      overlayImageInput: document.getElementById('overlay-image-input'),
+      applyLayersAllBtn: document.getElementById('apply-layers-all-btn'),
+      layerProperties: document.getElementById('layer-properties'),
+      layerPropInputs: document.querySelectorAll('[data-layer-prop]'),
+      adjustPreview: document.getElementById('adjust-preview'),
+      captureAdjustments: document.getElementById('capture-adjustments'),
+      captureAdjustReset: document.getElementById('capture-adjust-reset'),
+      thumbnailAdjustments: document.getElementById('thumbnail-adjustments'),
+      thumbnailAdjustReset: document.getElementById('thumbnail-adjust-reset'),
+      saveSelectedBtn: document.getElementById('save-selected-btn'),
+      saveAllBtn: document.getElementById('save-all-btn'),
+      clearBtn: document.getElementById('clear-btn'),
+      sourceHint: document.getElementById('source-hint'),
+      sourceQueue: document.getElementById('source-queue'),
+      sourceQueueCount: document.getElementById('source-queue-count'),
+      sourceQueueList: document.getElementById('source-queue-list'),
+      runQueueBtn: document.getElementById('run-queue-btn'),
+      clearQueueBtn: document.getElementById('clear-queue-btn'),
+      persistInputs: document.querySelectorAll('[data-persist]'),
+      restoreBanner: document.getElementById('restore-banner'),
+      restoreText: document.getElementById('restore-text'),
+      restoreBtn: document.getElementById('restore-btn'),
+      restoreManageBtn: document.getElementById('restore-manage-btn'),
+      restoreDismissBtn: document.getElementById('restore-dismiss-btn'),
+      sessionsBtn: document.getElementById('sessions-btn'),
+      sessionsModal: document.getElementById('sessions-modal'),
+      sessionsList: document.getElementById('sessions-list'),
+      sessionsUsage: document.getElementById('sessions-usage'),
+      sessionsCloseBtn: document.getElementById('sessions-close-btn'),
+      sessionsPurgeBtn: document.getElementById('sessions-purge-btn'),
+      updateToast: document.getElementById('update-toast'),
+      updateReloadBtn: document.getElementById('update-reload-btn'),
+      updateDismissBtn: document.getElementById('update-dismiss-btn')
+    };
+  }
+
+  setupEventListeners() {
+    this.elements.sourceFile.addEventListener('change', () => this.toggleSourceInput('file'));
+    this.elements.sourceUrl.addEventListener('change', () => this.toggleSourceInput('url'));
+    this.elements.sourceYoutube.addEventListener('change', () => this.toggleSourceInput('youtube'));
+    
+    this.elements.videoFile.addEventListener('change', (e) => this.handleFileSelect(e));
+    this.elements.runQueueBtn.addEventListener('click', () => this.runSourceQueue());
+    this.elements.clearQueueBtn.addEventListener('click', () => {
+      this.sourceQueue.clear();
+      this.renderSourceQueue();
+    });
+    this.elements.loadUrlBtn.addEventListener('click', () => this.handleUrlLoad());
+    this.elements.videoUrl.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.handleUrlLoad();
+    });
+    
+    this.elements.fetchYoutubeBtn.addEventListener('click', () => this.handleYoutubeFetch());
+    this.elements.youtubeUrl.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') this.handleYoutubeFetch();
+    });
+    
+    this.elements.timeline.addEventListener('input', (e) => {
+      const time = parseFloat(e.target.value);
+      this.videoManager.seek(time);
+    });
+    
+    this.elements.trimInBtn.addEventListener('click', () => this.markTrimIn());
+    this.elements.trimOutBtn.addEventListener('click', () => this.markTrimOut());
+    this.elements.trimClearBtn.addEventListener('click', () => {
+      this.trimRanges.clear();
+      this.renderTrimRanges();
+    });
+    this.elements.trimList.addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-trim-index]');
+      if (!chip) return;
+      
+      const index = parseInt(chip.dataset.trimIndex);
+      if (e.target.closest('.trim-remove')) {
+        this.trimRanges.remove(index);
+        this.renderTrimRanges();
+      } else {
+        this.videoManager.seek(this.trimRanges.ranges[index].start);
+      }
+    });
+    
+    this.elements.playPauseBtn.addEventListener('click', () => this.videoManager.togglePlayPause());
+    
+    document.querySelectorAll('[data-seek]').forEach(btn => {
+      btn.addEventListener('click', () => this.handleSeek(btn.dataset.seek));
+    });
+    
+    document.querySelectorAll('[data-frame-step]').forEach(btn => {
+      btn.addEventListener('click', () => this.videoManager.stepFrame(parseInt(btn.dataset.frameStep)));
+    });
+    
+    document.addEventListener('videoPlayStateChange', (e) => {
+      this.updatePlayPauseButton(e.detail.isPlaying);
+    });
+    
+    this.elements.presetButtons.addEventListener('click', (e) => {
+      const btn = e.target.closest('.preset-btn');
+      if (btn) this.handlePresetSelect(btn);
+    });
+    
+    this.elements.outputWidth.addEventListener('input', () => this.handleSizeChange('width'));
+    this.elements.outputHeight.addEventListener('input', () => this.handleSizeChange('height'));
+    
+    this.elements.fitMode.addEventListener('change', () => this.handleFitModeChange());
+    this.elements.resetCropBtn.addEventListener('click', () => this.cropSelector.reset());
+    
+    document.querySelectorAll('[data-crop-nudge]').forEach(btn => {
+      btn.addEventListener('click', (e) => {
+        const [dx, dy] = btn.dataset.cropNudge.split(',').map(Number);
+        const step = e.shiftKey ? 0.1 : 0.02;
+        this.updateThumbnailCrop(thumbnail => this.thumbnailGenerator.moveCrop(thumbnail, dx * step, dy * step));
+      });
+    });
+    this.elements.cropSmartBtn.addEventListener('click', () => {
+      this.updateThumbnailCrop(thumbnail => this.thumbnailGenerator.smartCrop(thumbnail));
+    });
+    this.elements.cropCenterBtn.addEventListener('click', () => {
+      this.updateThumbnailCrop(thumbnail => this.thumbnailGenerator.centerCrop(thumbnail));
+    });
+    
+    this.elements.snapBtn.addEventListener('click', () => this.captureFrame());
+    this.elements.autoSnapBtn.addEventListener('click', () => this.startAutoCapture());
+    this.elements.contactSheetBtn.addEventListener('click', () => this.generateContactSheet());
+    this.elements.spriteBtn.addEventListener('click', () => this.generateSprites());
+    this.elements.spriteDiscardBtn.addEventListener('click', () => this.discardSprites());
+    this.elements.animSource.addEventListener('change', () => {
+      this.elements.animRange.classList.toggle('hidden', this.elements.animSource.value !== 'range');
+    });
+    this.elements.animFromPlayheadBtn.addEventListener('click', () => {
+      const time = this.videoManager.video.currentTime;
+      this.elements.animStart.value = time.toFixed(2);
+      this.elements.animEnd.value = Math.min(time + 3, this.videoManager.video.duration || time + 3).toFixed(2);
+    });
+    this.elements.animExportBtn.addEventListener('click', () => this.exportAnimation());
+    this.elements.snapInterval.addEventListener('change', () => {
+      this.elements.sceneOptions.classList.toggle('hidden', this.elements.snapInterval.value !== 'scene');
+    });
+    this.elements.sceneSensitivity.addEventListener('input', (e) => {
+      this.elements.sensitivityValue.textContent = e.target.value;
+    });
+    
+    this.elements.exportFormat.addEventListener('change', (e) => {
+      this.exportManager.setFormat(e.target.value);
+    });
+    
+    this.elements.autoFit.addEventListener('change', (e) => {
+      this.exportManager.setAutoFit(e.target.checked);
+    });
+    
+    this.elements.exportQuality.addEventListener('input', (e) => {
+      this.elements.qualityValue.textContent = e.target.value;
+      this.exportManager.setQuality(parseInt(e.target.value));
+    });
+    
+    this.elements.saveSelectedBtn.addEventListener('click', () => this.saveSelected());
+    this.elements.saveAllBtn.addEventListener('click', () => this.saveAll());
+    this.elements.clearBtn.addEventListener('click', () => this.clearThumbnails());
+    this.elements.rerenderAllBtn.addEventListener('click', () => this.rerenderAll());
+    this.elements.gallerySort.addEventListener('change', () => this.sortThumbnails());
+    this.elements.keepTopBtn.addEventListener('click', () => this.keepTopThumbnails());
+    this.setupGallery();
+    this.setupViewer();
+    this.setupMockups();
+
+    const fileInput = this.elements.videoFile;
+    const dropZone = fileInput.parentElement;
+    
+    ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
+      dropZone.addEventListener(eventName, (e) => {
+        e.preventDefault();
+        e.stopPropagation();
+      });
+    });
+    
+    ['dragenter', 'dragover'].forEach(eventName => {
+      dropZone.addEventListener(eventName, () => {
+        dropZone.classList.add('border-primary-500', 'bg-primary-500/10');
+      });
+    });
+    
+    ['dragleave', 'drop'].forEach(eventName => {
+      dropZone.addEventListener(eventName, () => {
+        dropZone.classList.remove('border-primary-500', 'bg-primary-500/10');
+      });
+    });
+    
+    dropZone.addEventListener('drop', (e) => {
+      this.handleFiles(e.dataTransfer.files);
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+      if (this.handleViewerKey(e)) return;
+      if (this.isMockupOpen()) {
+        if (e.code === 'Escape') this.closeMockups();
+        return;
+      }
+      if (this.isCompareOpen()) {
+        if (e.code === 'Escape') this.closeCompare();
+        return;
+      }
+      if (this.isPresetManagerOpen()) {
+        if (e.code === 'Escape') this.closePresetManager();
+        return;
+      }
+      if (this.isSessionsManagerOpen()) {
+        if (e.code === 'Escape') this.closeSessionsManager();
+        return;
+      }
+      
+      switch(e.code) {
+        case 'Space':
+          e.preventDefault();
+          this.videoManager.togglePlayPause();
+          break;
+        case 'ArrowLeft':
+          e.preventDefault();
+          this.videoManager.seekRelative(e.shiftKey ? -5 : -1);
+          break;
+        case 'ArrowRight':
+          e.preventDefault();
+          this.videoManager.seekRelative(e.shiftKey ? 5 : 1);
+          break;
+        case 'Comma':
+          e.preventDefault();
+          this.videoManager.stepFrame(-1);
+          break;
+        case 'Period':
+          e.preventDefault();
+          this.videoManager.stepFrame(1);
+          break;
+        case 'KeyC':
+          if (!e.ctrlKey && !e.metaKey) {
+            this.captureFrame();
+          }
+          break;
+        case 'Delete':
+        case 'Backspace':
+          if (this.overlayEditor.getSelected()) {
+            e.preventDefault();
+            this.overlayEditor.removeSelected();
+          } else if (e.code === 'Delete' && this.thumbnailGenerator.getSelection().length > 0) {
+            e.preventDefault();
+            this.removeSelectedThumbnails();
+          }
+          break;
+        case 'KeyZ':
+          if (e.ctrlKey || e.metaKey) {
+            e.preventDefault();
+            if (e.shiftKey) {
+              this.redo();
+            } else {
+              this.undo();
+            }
+          }
+          break;
+        case 'KeyY':
+          if (e.ctrlKey || e.metaKey) {
+            e.preventDefault();
+            this.redo();
+          }
+          break;
+        case 'KeyF':
+          if (!e.ctrlKey && !e.metaKey) {
+            this.openViewer();
+          }
+          break;
+        case 'KeyI':
+          if (!e.ctrlKey && !e.metaKey) {
+            this.markTrimIn();
+          }
+          break;
+        case 'KeyO':
+          if (!e.ctrlKey && !e.metaKey) {
+            this.markTrimOut();
+          }
+          break;
+      }
+    });
+  }
+
+  setupOverlayEditor() {
+    document.querySelectorAll('[data-add-layer]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.overlayEditor.addLayer(this.overlayEditor.createLayer(btn.dataset.addLayer));
+      });
+    });
+    
+    document.querySelectorAll('[data-layer-action]').forEach(btn => {
+      btn.addEventListener('click', () => this.handleLayerAction(btn.dataset.layerAction));
+    });
+    
+    this.elements.overlayImageInput.addEventListener('change', (e) => this.handleOverlayImage(e));
+    this.elements.applyLayersAllBtn.addEventListener('click', () => this.applyLayersToAll());
+    
+    this.elements.layerPropInputs.forEach(input => {
+      input.addEventListener('input', () => {
+        this.overlayEditor.updateSelected({ [input.dataset.layerProp]: this.readLayerInput(input) });
+      });
+    });
+    
+    this.overlayEditor.onSelectCallback = (layer) => this.populateLayerProperties(layer);
+    this.overlayEditor.onChangeCallback = (thumbnail) => {
+      clearTimeout(this.flattenTimeout);
+      this.flattenTimeout = setTimeout(async () => {
+        await this.thumbnailGenerator.flatten(thumbnail);
+        this.updateThumbnailImage(thumbnail);
+        this.scheduleSave();
+      }, 150);
+    };
+  }
+
+  setupAdjustments() {
+    const { captureAdjustments, thumbnailAdjustments } = this.elements;
+    this.renderAdjustmentControls(captureAdjustments);
+    this.renderAdjustmentControls(thumbnailAdjustments);
+    
+    captureAdjustments.addEventListener('input', () => {
+      this.setCaptureAdjustments(this.readAdjustments(captureAdjustments));
+    });
+    this.elements.captureAdjustReset.addEventListener('click', () => {
+      this.setCaptureAdjustments(this.imageAdjuster.getDefaults());
+    });
+    
+    thumbnailAdjustments.addEventListener('input', () => {
+      this.setThumbnailAdjustments(this.readAdjustments(thumbnailAdjustments));
+    });
+    this.elements.thumbnailAdjustReset.addEventListener('click', () => {
+      this.setThumbnailAdjustments(this.imageAdjuster.getDefaults());
+    });
+    
+    ['loadeddata', 'seeked', 'pause'].forEach(type => {
+      this.videoManager.video.addEventListener(type, () => this.scheduleAdjustPreview());
+    });
+    document.addEventListener('videoPlayStateChange', () => this.scheduleAdjustPreview());
+  }
+
+  renderAdjustmentControls(container) {
+    const looks = Object.entries(this.imageAdjuster.presets)
+      .map(([key, preset]) => `<option value="${key}">${preset.name}</option>`)
+      .join('');
+    const sliders = this.imageAdjuster.controls.map(control => `
+      <div>
+        <label class="flex justify-between text-slate-500 mb-1">
+          <span>${control.label}</span>
+          <span data-adjust-value="${control.key}">0</span>
+        </label>
+        <input type="range" data-adjust="${control.key}" min="${control.min}" max="${control.max}" value="0" class="w-full h-2 bg-white/10 rounded-full appearance-none cursor-pointer slider-thumb">
+      </div>
+    `).join('');
+    
+    container.innerHTML = `
+      <div class="col-span-2">
+        <label class="block text-slate-500 mb-1">Look</label>
+        <select data-adjust="preset" class="overlay-input w-full cursor-pointer">${looks}</select>
+      </div>
+      ${sliders}
+    `;
+  }
+
+  readAdjustments(container) {
+    const adjustments = {};
+    container.querySelectorAll('[data-adjust]').forEach(input => {
+      adjustments[input.dataset.adjust] = input.type === 'range' ? parseInt(input.value) : input.value;
+    });
+    return adjustments;
+  }
+
+  populateAdjustments(container, adjustments) {
+    const values = { ...this.imageAdjuster.getDefaults(), ...adjustments };
+    container.querySelectorAll('[data-adjust]').forEach(input => {
+      input.value = values[input.dataset.adjust];
+    });
+    container.querySelectorAll('[data-adjust-value]').forEach(label => {
+      label.textContent = values[label.dataset.adjustValue];
+    });
+  }
+
+  setCaptureAdjustments(adjustments) {
+    this.captureAdjustments = adjustments;
+    this.populateAdjustments(this.elements.captureAdjustments, adjustments);
+    this.scheduleAdjustPreview();
+    this.scheduleSave();
+  }
+
+  setThumbnailAdjustments(adjustments) {
+    const thumbnail = this.thumbnailGenerator.getSelected();
+    if (!thumbnail) return;
+    
+    thumbnail.adjustments = adjustments;
+    this.populateAdjustments(this.elements.thumbnailAdjustments, adjustments);
+    
+    clearTimeout(this.adjustTimeout);
+    this.adjustTimeout = setTimeout(async () => {
+      this.refreshEditorBackground(thumbnail);
+      await this.thumbnailGenerator.flatten(thumbnail);
+      this.updateThumbnailImage(thumbnail);
+      this.scheduleSave();
+    }, 150);
+  }
+
+  async updateThumbnailCrop(update) {
+    const thumbnail = this.thumbnailGenerator.getSelected();
+    if (!thumbnail || !thumbnail.crop) return;
+    
+    await update(thumbnail);
+    this.refreshEditorBackground(thumbnail);
+    this.updateThumbnailImage(thumbnail);
+    this.scheduleSave();
+  }
+
+  async refreshEditorBackground(thumbnail) {
+    const background = await this.thumbnailGenerator.renderBackground(thumbnail);
+    if (this.overlayEditor.thumbnail === thumbnail) {
+      this.overlayEditor.setBackground(background);
+    }
+  }
+
+  scheduleAdjustPreview() {
+    if (this.adjustPreviewFrame) return;
+    this.adjustPreviewFrame = requestAnimationFrame(() => {
+      this.adjustPreviewFrame = null;
+      this.renderAdjustPreview();
+    });
+  }
+
+  renderAdjustPreview() {
+    const canvas = this.elements.adjustPreview;
+    const video = this.videoManager.video;
+    const active = this.videoManager.isLoaded && video.paused && video.videoWidth > 0 &&
+      !this.imageAdjuster.isNeutral(this.captureAdjustments);
+    
+    canvas.classList.toggle('hidden', !active);
+    if (!active) return;
+    
+    const scale = Math.min(1, 960 / video.videoWidth);
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    this.imageAdjuster.apply(ctx, canvas.width, canvas.height, this.captureAdjustments);
+  }
+
+  handleLayerAction(action) {
+    if (action === 'delete') {
+      this.overlayEditor.removeSelected();
+    } else if (action === 'forward') {
+      this.overlayEditor.moveSelected(1);
+    } else if (action === 'backward') {
+      this.overlayEditor.moveSelected(-1);
+    }
+  }
+
+  handleOverlayImage(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = async () => {
+      try {
+        await this.overlayRenderer.loadImage(reader.result);
+        this.overlayEditor.addLayer(this.overlayEditor.createLayer('image', { src: reader.result }));
+      } catch (error) {
+        alert('Could not load this image. Please try a PNG, JPEG, SVG or WebP file.');
+        console.error(error);
+      }
+    };
+    reader.readAsDataURL(file);
+  }
+
+  readLayerInput(input) {
+    if (input.type === 'checkbox') {
+      return input.checked;
+    }
+    if (input.dataset.scale) {
+      return parseFloat(input.value) * parseFloat(input.dataset.scale);
+    }
+    return input.value;
+  }
+
+  populateLayerProperties(layer) {
+    this.elements.layerProperties.classList.toggle('hidden', !layer);
+    if (!layer) return;
+    
+    this.elements.layerProperties.querySelectorAll('[data-layer-types]').forEach(group => {
+      group.classList.toggle('hidden', !group.dataset.layerTypes.split(' ').includes(layer.type));
+    });
+    
+    this.elements.layerPropInputs.forEach(input => {
+      const group = input.closest('[data-layer-types]');
+      const value = layer[input.dataset.layerProp];
+      if (value === undefined || (group && group.classList.contains('hidden'))) return;
+      
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else if (input.dataset.scale) {
+        input.value = Math.round(value / parseFloat(input.dataset.scale));
+      } else {
+        input.value = value;
+      }
+    });
+  }
+
+  async applyLayersToAll() {
+    const source = this.thumbnailGenerator.getSelected();
+    if (!source) return;
+    
+    await Promise.all(this.thumbnailGenerator.getAll().map(async thumbnail => {
+      if (thumbnail === source) return;
+      thumbnail.layers = source.layers.map(layer => ({ ...layer, id: Date.now() + Math.random() }));
+      await this.thumbnailGenerator.flatten(thumbnail);
+      this.updateThumbnailImage(thumbnail);
+    }));
+    this.scheduleSave();
+  }
+
+  updateThumbnailImage(thumbnail) {
+    const index = this.thumbnailGenerator.getAll().indexOf(thumbnail);
+    const item = this.elements.thumbnailsGrid.querySelector(`.thumbnail-item[data-index="${index}"]`);
+    if (!item) return;
+    
+    item.querySelector('img').src = thumbnail.url;
+    const badge = item.querySelector('.thumb-compliance');
+    if (badge) badge.remove();
+    item.querySelector('.thumb-remove').insertAdjacentHTML('beforebegin', this.getComplianceBadge(thumbnail));
+  }
+
+  setupVideoCallbacks() {
+    this.videoManager.onLoadCallback = (info) => {
+      this.elements.videoPlaceholder.classList.add('hidden');
+      this.elements.videoControls.classList.remove('hidden');
+      this.elements.videoInfo.classList.remove('hidden');
+      
+      this.elements.infoSize.textContent = `${info.width}x${info.height}`;
+      this.elements.infoDuration.textContent = this.formatTime(info.duration);
+      this.elements.timeline.max = info.duration;
+      this.elements.infoFps.textContent = 'detecting...';
+      this.trimRanges.clear();
+      this.renderTrimRanges();
+      
+      this.elements.snapBtn.disabled = false;
+      this.elements.autoSnapBtn.disabled = false;
+      this.elements.contactSheetBtn.disabled = false;
+      this.elements.spriteBtn.disabled = false;
+    };
+    
+    this.videoManager.onTimeUpdateCallback = (info) => {
+      this.elements.timeline.value = info.currentTime;
+      this.elements.infoPosition.textContent = this.formatTime(info.currentTime);
+      this.elements.infoFrame.textContent = this.videoManager.getFrame(info.currentTime);
+      this.elements.infoTimecode.textContent = this.videoManager.getTimecode(info.currentTime);
+    };
+    
+    this.videoManager.onFrameRateCallback = (frameRate, detected) => {
+      this.elements.infoFps.textContent = detected ? `${frameRate} fps` : `${frameRate} fps (assumed)`;
+      this.elements.infoTimecode.textContent = this.videoManager.getTimecode();
+    };
+  }
+
+  toggleSourceInput(type) {
+    this.elements.fileInputSection.classList.add('hidden');
+    this.elements.urlInputSection.classList.add('hidden');
+    this.elements.youtubeInputSection.classList.add('hidden');
+    
+    if (type === 'file') {
+      this.elements.fileInputSection.classList.remove('hidden');
+    } else if (type === 'url') {
+      this.elements.urlInputSection.classList.remove('hidden');
+    } else if (type === 'youtube') {
+      this.elements.youtubeInputSection.classList.remove('hidden');
+    }
+  }
+
+  handleFileSelect(e) {
+    this.handleFiles(e.target.files);
+    e.target.value = '';
+  }
+
+  handleFiles(fileList) {
+    const files = Array.from(fileList).filter(file => file.type.startsWith('video/'));
+    if (files.length === 0) return;
+    
+    if (files.length === 1 && this.sourceQueue.items.length === 0) {
+      this.videoManager.loadFromFile(files[0]);
+      return;
+    }
+    
+    this.sourceQueue.add(files);
+    if (!this.videoManager.isLoaded && !this.sourceQueue.running) {
+      this.videoManager.loadFromFile(files[0]);
+    }
+    this.renderSourceQueue();
+  }
+
+  renderSourceQueue() {
+    const items = this.sourceQueue.items;
+    const list = this.elements.sourceQueueList;
+    const running = this.sourceQueue.running;
+    
+    this.elements.sourceQueue.classList.toggle('hidden', items.length === 0);
+    this.elements.sourceQueueCount.textContent = `(${items.length})`;
+    this.elements.runQueueBtn.textContent = running ? 'Stop' : 'Run Queue';
+    this.elements.clearQueueBtn.disabled = running;
+    list.innerHTML = '';
+    
+    const statusClasses = {
+      pending: 'text-slate-500',
+      running: 'text-primary-400',
+      done: 'text-emerald-400',
+      failed: 'text-red-400'
+    };
+    
+    items.forEach(item => {
+      const status = item.status === 'done'
+        ? `${item.count} captured`
+        : item.status === 'failed' ? item.error : item.status;
+      
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-3 px-3 py-2 bg-white/5 rounded-lg text-xs';
+      row.innerHTML = `
+        <span class="queue-name text-slate-300 truncate"></span>
+        <div class="flex items-center gap-2 shrink-0">
+          <span class="${statusClasses[item.status]}">${this.escapeHTML(status)}</span>
+          ${running ? '' : '<button class="queue-remove text-slate-500 hover:text-red-400" title="Remove">×</button>'}
+        </div>
+      `;
+      row.querySelector('.queue-name').textContent = item.name;
+      
+      const removeBtn = row.querySelector('.queue-remove');
+      if (removeBtn) {
+        removeBtn.addEventListener('click', () => {
+          this.sourceQueue.remove(item.id);
+          this.renderSourceQueue();
+        });
+      }
+      list.appendChild(row);
+    });
+  }
+
+  async runSourceQueue() {
+    if (this.sourceQueue.running) {
+      this.sourceQueue.cancel();
+      this.stopAutoCapture();
+      return;
+    }
+    if (this.captureQueue.running || this.sceneDetector.running) return;
+    
+    const run = this.sourceQueue.run(async (item) => {
+      this.videoManager.loadFromFile(item.file);
+      await this.videoManager.whenLoaded();
+      
+      const positions = await this.getAutoCapturePositions();
+      if (!positions) return 0;
+      
+      let count = 0;
+      this.showCaptureProgress(0, `${item.name}: 0 of ${positions.length}`);
+      await this.captureQueue.run(positions, async () => {
+        await this.captureFrame();
+        count++;
+      }, {
+        onProgress: ({ done, total, eta }) => {
+          this.showCaptureProgress(done / total, `${item.name}: ${done} of ${total} · ETA ${this.formatTime(eta)}`);
+        }
+      });
+      return count;
+    }, { onChange: () => this.renderSourceQueue() });
+    
+    this.renderSourceQueue();
+    await run;
+    this.stopAutoCapture();
+    this.renderSourceQueue();
+  }
+
+  escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  handleUrlLoad() {
+    const url = this.elements.videoUrl.value.trim();
+    if (url) {
+      this.videoManager.loadFromURL(url);
+    }
+  }
+
+  async handleYoutubeFetch() {
+    const url = this.elements.youtubeUrl.value.trim();
+    if (!url) return;
+
+    this.elements.fetchYoutubeBtn.textContent = 'Fetching...';
+    this.elements.fetchYoutubeBtn.disabled = true;
+
+    try {
+      const result = await this.youtubeFetcher.fetchAvailableThumbnails(url);
+      this.displayYoutubeThumbnails(result);
+    } catch (error) {
+      alert('Could not fetch thumbnails. Please check the URL and try again.');
+      console.error(error);
+    } finally {
+      this.elements.fetchYoutubeBtn.textContent = 'Fetch Thumbnails';
+      this.elements.fetchYoutubeBtn.disabled = false;
+    }
+  }
+
+  displayYoutubeThumbnails(result) {
+    const grid = this.elements.youtubeThumbGrid;
+    grid.innerHTML = '';
+
+    if (result.thumbnails.length === 0) {
+      grid.innerHTML = '<p class="col-span-2 text-slate-500 text-center py-4">No thumbnails found for this video.</p>';
+      this.elements.youtubeThumbnails.classList.remove('hidden');
+      return;
+    }
+
+    result.thumbnails.forEach((thumb) => {
+      const card = document.createElement('div');
+      card.className = 'relative rounded-xl overflow-hidden bg-black/30 cursor-pointer hover:ring-2 hover:ring-red-500 transition-all group';
+      card.innerHTML = `
+        <img src="${thumb.url}" alt="${thumb.name}" class="w-full h-auto">
+        <div class="absolute bottom-0 left-0 right-0 p-2 bg-gradient-to-t from-black/80 to-transparent">
+          <p class="text-white text-sm font-medium">${thumb.name}</p>
+          <p class="text-slate-300 text-xs">${thumb.actualWidth}x${thumb.actualHeight}</p>
+        </div>
+        <div class="absolute inset-0 flex items-center justify-center bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity">
+          <span class="px-4 py-2 bg-red-600 rounded-lg text-sm font-medium">Add to Gallery</span>
+        </div>
+      `;
+      
+      card.addEventListener('click', () => this.addYoutubeThumbnailToGallery(thumb));
+      grid.appendChild(card);
+    });
+
+    this.elements.youtubeThumbnails.classList.remove('hidden');
+  }
+
+  async addYoutubeThumbnailToGallery(thumb) {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+    
+    img.onload = async () => {
+      const format = this.elements.exportFormat.value;
+      const quality = parseInt(this.elements.exportQuality.value) / 100;
+      const thumbnail = await this.thumbnailGenerator.captureImage(img, format, quality, {
+        source: { type: 'youtube', name: thumb.key, url: thumb.url },
+        isYoutube: true,
+        label: thumb.name
+      });
+      
+      this.addThumbnailToGrid(thumbnail);
+      this.updateButtonStates();
+      this.flashCapture();
+    };
+    
+    img.onerror = () => {
+      alert('Could not load this thumbnail. It may not be available in this resolution.');
+    };
+    
+    img.src = thumb.url;
+  }
+
+  handleSeek(value) {
+    if (value === 'start') {
+      this.videoManager.seekToStart();
+    } else if (value === 'end') {
+      this.videoManager.seekToEnd();
+    } else {
+      this.videoManager.seekRelative(parseFloat(value));
+    }
+  }
+
+  updatePlayPauseButton(isPlaying) {
+    if (isPlaying) {
+      this.elements.playIcon.classList.add('hidden');
+      this.elements.pauseIcon.classList.remove('hidden');
+    } else {
+      this.elements.playIcon.classList.remove('hidden');
+      this.elements.pauseIcon.classList.add('hidden');
+    }
+  }
+
+  handlePresetSelect(btn) {
+    this.elements.presetBtns.forEach(b => b.classList.remove('active'));
+    btn.classList.add('active');
+    
+    const preset = this.presetManager.getPreset(btn.dataset.preset);
+    this.presetManager.currentPreset = btn.dataset.preset;
+    
+    this.elements.outputWidth.value = preset.width;
+    this.elements.outputHeight.value = preset.height;
+    if (preset.format) {
+      this.elements.exportFormat.value = preset.format;
+      this.elements.exportFormat.dispatchEvent(new Event('change'));
+    }
+    if (preset.quality) {
+      this.elements.exportQuality.value = preset.quality;
+      this.elements.exportQuality.dispatchEvent(new Event('input'));
+    }
+    this.updateRatioDisplay();
+    this.scheduleSave();
+  }
+
+  renderPresetButtons() {
+    const container = this.elements.presetButtons;
+    container.innerHTML = '';
+    
+    this.presetManager.getEntries().forEach(preset => {
+      const btn = document.createElement('button');
+      btn.className = 'preset-btn';
+      btn.classList.toggle('active', preset.key === this.presetManager.currentPreset);
+      btn.dataset.preset = preset.key;
+      btn.title = `${preset.name} · ${preset.width}x${preset.height}`;
+      btn.innerHTML = `${this.presetManager.getIcon(preset)}<span class="max-w-full truncate"></span>`;
+      btn.querySelector('span').textContent = preset.label;
+      container.appendChild(btn);
+    });
+    
+    this.elements.presetBtns = container.querySelectorAll('.preset-btn');
+  }
+
+  setupPresetManager() {
+    this.elements.presetsManageBtn.addEventListener('click', () => this.openPresetManager());
+    this.elements.presetsCloseBtn.addEventListener('click', () => this.closePresetManager());
+    this.elements.presetsModal.addEventListener('click', (e) => {
+      if (e.target === this.elements.presetsModal) this.closePresetManager();
+    });
+    
+    this.elements.presetForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.submitPresetForm();
+    });
+    [this.elements.presetWidth, this.elements.presetHeight].forEach(input => {
+      input.addEventListener('input', () => this.updatePresetFormRatio());
+    });
+    this.elements.presetCancelBtn.addEventListener('click', () => this.editPreset(null));
+    
+    this.elements.presetsImportInput.addEventListener('change', (e) => this.importPresetPack(e));
+    this.elements.presetsExportBtn.addEventListener('click', () => {
+      const blob = new Blob([this.presetManager.exportPack()], { type: 'application/json' });
+      saveAs(blob, 'thumbcraft-presets.json');
+    });
+  }
+
+  openPresetManager() {
+    this.editPreset(null);
+    this.renderPresetList();
+    this.elements.presetsModal.classList.remove('hidden');
+  }
+
+  closePresetManager() {
+    this.elements.presetsModal.classList.add('hidden');
+  }
+
+  isPresetManagerOpen() {
+    return !this.elements.presetsModal.classList.contains('hidden');
+  }
+
+  renderPresetList() {
+    const list = this.elements.presetsList;
+    const presets = this.presetManager.getCustomEntries();
+    
+    list.innerHTML = '';
+    this.elements.presetsExportBtn.disabled = presets.length === 0;
+    
+    if (presets.length === 0) {
+      list.innerHTML = '<p class="text-sm text-slate-500 text-center py-6">No custom presets yet</p>';
+      return;
+    }
+    
+    presets.forEach((preset, index) => {
+      const rules = preset.rules || {};
+      const defaults = [
+        preset.format ? preset.format.toUpperCase() : null,
+        preset.quality ? `${preset.quality}%` : null,
+        rules.maxBytes ? `max ${this.thumbnailGenerator.formatSize(rules.maxBytes)}` : null,
+        rules.formats ? rules.formats.map(format => format.toUpperCase()).join('/') : null
+      ].filter(Boolean).join(' · ');
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-3 p-3 bg-white/5 rounded-xl';
+      row.innerHTML = `
+        <div class="min-w-0">
+          <p class="preset-name text-sm text-white truncate"></p>
+          <p class="text-xs text-slate-500">${preset.width}x${preset.height} · ${preset.ratio}${defaults ? ` · ${defaults}` : ''}</p>
+        </div>
+        <div class="flex gap-1 shrink-0">
+          <button data-preset-action="up" class="overlay-btn" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+          <button data-preset-action="down" class="overlay-btn" title="Move down"${index === presets.length - 1 ? ' disabled' : ''}>↓</button>
+          <button data-preset-action="edit" class="overlay-btn">Edit</button>
+          <button data-preset-action="delete" class="overlay-btn text-red-400">Delete</button>
+        </div>
+      `;
+      row.querySelector('.preset-name').textContent = preset.name;
+      
+      row.querySelector('[data-preset-action="up"]').addEventListener('click', () => this.movePreset(preset.key, -1));
+      row.querySelector('[data-preset-action="down"]').addEventListener('click', () => this.movePreset(preset.key, 1));
+      row.querySelector('[data-preset-action="edit"]').addEventListener('click', () => this.editPreset(preset));
+      row.querySelector('[data-preset-action="delete"]').addEventListener('click', () => this.deletePreset(preset));
+      list.appendChild(row);
+    });
+  }
+
+  editPreset(preset) {
+    this.editingPreset = preset ? preset.key : null;
+    
+    this.elements.presetName.value = preset ? preset.name : '';
+    this.elements.presetWidth.value = preset ? preset.width : this.elements.outputWidth.value;
+    this.elements.presetHeight.value = preset ? preset.height : this.elements.outputHeight.value;
+    this.elements.presetFormat.value = preset && preset.format ? preset.format : '';
+    this.elements.presetQuality.value = preset && preset.quality ? preset.quality : '';
+    
+    const rules = (preset && preset.rules) || {};
+    this.elements.presetMaxMb.value = rules.maxBytes ? Math.round(rules.maxBytes / 1024 / 1024 * 100) / 100 : '';
+    this.elements.presetMinWidth.value = rules.minWidth || '';
+    this.elements.presetMinHeight.value = rules.minHeight || '';
+    this.elements.presetRuleFormats.forEach(input => {
+      input.checked = Boolean(rules.formats && rules.formats.includes(input.dataset.presetRuleFormat));
+    });
+    this.elements.presetLockRatio.checked = Boolean(rules.minRatio && rules.minRatio === rules.maxRatio);
+    this.elements.presetSubmitBtn.textContent = preset ? 'Update Preset' : 'Add Preset';
+    this.elements.presetCancelBtn.classList.toggle('hidden', !preset);
+    this.updatePresetFormRatio();
+    
+    if (preset) this.elements.presetName.focus();
+  }
+
+  updatePresetFormRatio() {
+    const width = parseInt(this.elements.presetWidth.value);
+    const height = parseInt(this.elements.presetHeight.value);
+    this.elements.presetRatio.textContent = width > 0 && height > 0
+      ? this.presetManager.calculateRatio(width, height)
+      : '-';
+  }
+
+  submitPresetForm() {
+    const existing = this.editingPreset ? this.presetManager.presets[this.editingPreset] : null;
+    const range = existing && existing.rules && existing.rules.minRatio !== existing.rules.maxRatio ? existing.rules : {};
+    const data = {
+      name: this.elements.presetName.value,
+      width: this.elements.presetWidth.value,
+      height: this.elements.presetHeight.value,
+      format: this.elements.presetFormat.value,
+      quality: this.elements.presetQuality.value,
+      rules: {
+        maxBytes: Math.round(parseFloat(this.elements.presetMaxMb.value) * 1024 * 1024),
+        minWidth: this.elements.presetMinWidth.value,
+        minHeight: this.elements.presetMinHeight.value,
+        formats: Array.from(this.elements.presetRuleFormats).filter(input => input.checked).map(input => input.dataset.presetRuleFormat),
+        minRatio: range.minRatio,
+        maxRatio: range.maxRatio,
+        lockRatio: this.elements.presetLockRatio.checked
+      }
+    };
+    
+    try {
+      if (this.editingPreset) {
+        this.presetManager.updatePreset(this.editingPreset, data);
+      } else {
+        this.presetManager.addPreset(data);
+      }
+    } catch (error) {
+      alert(error.message);
+      return;
+    }
+    
+    this.editPreset(null);
+    this.refreshPresets();
+  }
+
+  movePreset(key, offset) {
+    this.presetManager.movePreset(key, offset);
+    this.refreshPresets();
+  }
+
+  deletePreset(preset) {
+    if (!confirm(`Delete the preset "${preset.name}"?`)) return;
+    
+    this.presetManager.deletePreset(preset.key);
+    if (this.presetManager.currentPreset === preset.key) {
+      this.presetManager.currentPreset = null;
+    }
+    if (this.editingPreset === preset.key) {
+      this.editPreset(null);
+    }
+    this.refreshPresets();
+  }
+
+  async importPresetPack(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    
+    try {
+      this.presetManager.importPack(await file.text());
+    } catch (error) {
+      console.error('Could not import presets:', error);
+      alert(`Could not import ${file.name}: ${error.message}`);
+      return;
+    }
+    this.refreshPresets();
+  }
+
+  refreshPresets() {
+    this.renderPresetList();
+    this.renderPresetButtons();
+    this.renderBatchPresets();
+    this.renderThumbnailGrid();
+    this.scheduleSave();
+  }
+
+  handleSizeChange(changed) {
+    if (!this.elements.lockRatio.checked) {
+      this.updateRatioDisplay();
+      return;
+    }
+    
+    const width = parseInt(this.elements.outputWidth.value) || 1;
+    const height = parseInt(this.elements.outputHeight.value) || 1;
+    const currentRatio = width / height;
+    
+    if (changed === 'width') {
+      const newHeight = Math.round(width / currentRatio);
+      this.elements.outputHeight.value = newHeight;
+    } else {
+      const newWidth = Math.round(height * currentRatio);
+      this.elements.outputWidth.value = newWidth;
+    }
+    
+    this.updateRatioDisplay();
+  }
+
+  updateRatioDisplay() {
+    const width = parseInt(this.elements.outputWidth.value) || 1;
+    const height = parseInt(this.elements.outputHeight.value) || 1;
+    this.elements.ratioDisplay.textContent = this.presetManager.calculateRatio(width, height);
+    this.cropSelector.setAspect(width / height);
+  }
+
+  handleFitModeChange() {
+    const fit = this.elements.fitMode.value;
+    this.elements.fillOptions.classList.toggle('hidden', fit !== 'contain');
+    this.elements.resetCropBtn.classList.toggle('hidden', fit !== 'cover');
+    this.elements.smartCropOption.classList.toggle('hidden', fit !== 'cover');
+    this.cropSelector.setEnabled(fit === 'cover');
+  }
+
+  getCaptureOptions() {
+    return {
+      fit: this.elements.fitMode.value,
+      fill: {
+        color: this.elements.fillColor.value,
+        blur: this.elements.fillBlur.checked
+      },
+      crop: this.cropSelector.getRegion(),
+      smartCrop: this.elements.smartCrop.checked,
+      adjustments: { ...this.captureAdjustments },
+      preset: this.getActivePreset()
+    };
+  }
+
+  getActivePreset() {
+    const key = this.presetManager.currentPreset;
+    if (key && key !== 'custom' && this.presetManager.presets[key]) return key;
+    
+    const { width, height } = this.getOutputSize();
+    return this.presetManager.findBySize(width, height);
+  }
+
+  async captureFrame() {
+    if (!this.videoManager.isLoaded) return;
+    
+    const width = parseInt(this.elements.outputWidth.value);
+    const height = parseInt(this.elements.outputHeight.value);
+    const format = this.elements.exportFormat.value;
+    const quality = parseInt(this.elements.exportQuality.value) / 100;
+    
+    const thumbnail = await this.thumbnailGenerator.capture(
+      this.videoManager.video,
+      width,
+      height,
+      format,
+      quality,
+      {
+        ...this.getCaptureOptions(),
+        source: this.videoManager.source,
+        frame: this.videoManager.getFrame(),
+        timecode: this.videoManager.getTimecode()
+      }
+    );
+    
+    this.addThumbnailToGrid(thumbnail);
+    this.updateButtonStates();
+    
+    this.flashCapture();
+  }
+
+  flashCapture() {
+    const flash = document.createElement('div');
+    flash.className = 'fixed inset-0 bg-white pointer-events-none capture-flash z-50';
+    document.body.appendChild(flash);
+    setTimeout(() => flash.remove(), 300);
+  }
+
+  async startAutoCapture() {
+    if (this.captureQueue.running || this.sceneDetector.running) {
+      this.stopAutoCapture();
+      return;
+    }
+    
+    this.elements.autoSnapBtn.textContent = 'Stop';
+    const positions = await this.getAutoCapturePositions();
+    if (!positions) return;
+    
+    this.clearThumbnails();
+    this.elements.autoSnapBtn.textContent = 'Stop';
+    this.showCaptureProgress(0, `0 of ${positions.length}`);
+    
+    await this.captureQueue.run(positions, () => this.captureFrame(), {
+      onProgress: ({ done, total, eta }) => {
+        this.showCaptureProgress(done / total, `${done} of ${total} · ETA ${this.formatTime(eta)}`);
+      }
+    });
+    
+    this.stopAutoCapture();
+  }
+
+  async getAutoCapturePositions() {
+    const intervalValue = this.elements.snapInterval.value;
+    const duration = this.videoManager.video.duration;
+    
+    if (intervalValue === 'scene') {
+      const step = this.sceneDetector.getStep(this.trimRanges.getLength(duration));
+      const label = `Detecting scenes (a frame every ${Number(step.toFixed(1))}s)...`;
+      this.showCaptureProgress(0, label);
+      return this.sceneDetector.detect({
+        sensitivity: parseInt(this.elements.sceneSensitivity.value),
+        maxScenes: Math.max(1, parseInt(this.elements.sceneMax.value) || 1),
+        ranges: this.trimRanges.getRanges(duration),
+        onProgress: (progress) => {
+          this.showCaptureProgress(progress, `${label} ${Math.round(progress * 100)}%`);
+        }
+      });
+    }
+    
+    if (intervalValue.includes('%')) {
+      const percent = parseFloat(intervalValue) / 100;
+      return this.trimRanges.getPositions(duration, this.trimRanges.getLength(duration) * percent);
+    }
+    return this.trimRanges.getPositions(duration, parseFloat(intervalValue));
+  }
+
+  markTrimIn() {
+    if (!this.videoManager.isLoaded) return;
+    this.trimRanges.markIn(this.videoManager.video.currentTime);
+    this.renderTrimRanges();
+  }
+
+  markTrimOut() {
+    if (!this.videoManager.isLoaded) return;
+    this.trimRanges.markOut(this.videoManager.video.currentTime);
+    this.renderTrimRanges();
+  }
+
+  renderTrimRanges() {
+    const duration = this.videoManager.video.duration;
+    const track = this.elements.trimTrack;
+    const ranges = this.trimRanges.ranges;
+    const percent = (time) => `${duration > 0 ? Math.min(100, time / duration * 100) : 0}%`;
+    track.innerHTML = '';
+    
+    ranges.forEach(range => {
+      const element = document.createElement('div');
+      element.className = 'trim-range';
+      element.style.left = percent(range.start);
+      element.style.width = `calc(${percent(range.end)} - ${percent(range.start)})`;
+      track.appendChild(element);
+    });
+    if (this.trimRanges.pendingIn !== null) {
+      const marker = document.createElement('div');
+      marker.className = 'trim-marker';
+      marker.style.left = percent(this.trimRanges.pendingIn);
+      track.appendChild(marker);
+    }
+    
+    this.elements.trimList.innerHTML = ranges.map((range, index) => `
+      <span data-trim-index="${index}" class="flex items-center gap-1 px-2 py-1 bg-primary-500/15 text-primary-300 rounded-lg cursor-pointer" title="${range.start.toFixed(2)}s - ${range.end.toFixed(2)}s">
+        ${this.formatTime(range.start)} – ${this.formatTime(range.end)}
+        <button class="trim-remove text-slate-400 hover:text-red-400" title="Remove range">×</button>
+      </span>
+    `).join('');
+    
+    if (this.trimRanges.pendingIn !== null) {
+      this.elements.trimSummary.textContent =
+        `In at ${this.formatTime(this.trimRanges.pendingIn)} runs to the end until you press O · ${this.formatTime(this.trimRanges.getLength(duration))}`;
+    } else if (ranges.length > 0) {
+      this.elements.trimSummary.textContent =
+        `Auto Capture uses ${ranges.length} range(s) · ${this.formatTime(this.trimRanges.getLength(duration))}`;
+    } else {
+      this.elements.trimSummary.textContent = 'Auto Capture uses the whole video';
+    }
+    this.elements.trimClearBtn.classList.toggle('hidden', ranges.length === 0 && this.trimRanges.pendingIn === null);
+  }
+
+  async generateContactSheet() {
+    if (this.captureQueue.running || this.sceneDetector.running) return;
+    
+    const positions = await this.getAutoCapturePositions();
+    if (!positions || positions.length === 0) {
+      this.stopAutoCapture();
+      return;
+    }
+    
+    const source = this.videoManager.source;
+    const header = this.elements.sheetHeader.checked ? {
+      title: source ? source.name : 'Untitled video',
+      details: `${this.elements.infoSize.textContent} · ${this.elements.infoDuration.textContent} · ${positions.length} frames`
+    } : null;
+    
+    this.elements.contactSheetBtn.disabled = true;
+    this.showCaptureProgress(0, `0 of ${positions.length}`);
+    
+    try {
+      const canvas = await this.contactSheetBuilder.build({
+        positions,
+        columns: Math.max(1, parseInt(this.elements.sheetColumns.value) || 1),
+        tileWidth: Math.max(80, parseInt(this.elements.sheetTileWidth.value) || 320),
+        header,
+        onProgress: ({ done, total, eta }) => {
+          this.showCaptureProgress(done / total, `Contact sheet: ${done} of ${total} · ETA ${this.formatTime(eta)}`);
+        }
+      });
+      
+      if (canvas) {
+        await this.exportManager.downloadCanvas(canvas, 'contact_sheet');
+      }
+    } finally {
+      this.elements.contactSheetBtn.disabled = false;
+      this.stopAutoCapture();
+    }
+  }
+
+  async generateSprites() {
+    if (this.captureQueue.running || this.sceneDetector.running || !this.videoManager.isLoaded) return;
+    
+    this.elements.spriteBtn.disabled = true;
+    
+    try {
+      const sprites = await this.spriteSheetBuilder.build({
+        ranges: this.trimRanges.getRanges(this.videoManager.video.duration),
+        interval: Math.max(0.5, parseFloat(this.elements.spriteInterval.value) || 5),
+        tileWidth: Math.max(40, parseInt(this.elements.spriteTileWidth.value) || 160),
+        columns: Math.max(1, parseInt(this.elements.spriteColumns.value) || 10),
+        rows: Math.max(1, parseInt(this.elements.spriteRows.value) || 10),
+        onProgress: ({ done, total, eta }) => {
+          this.showCaptureProgress(done / total, `Sprites: ${done} of ${total} · ETA ${this.formatTime(eta)}`);
+        }
+      });
+      
+      if (sprites) {
+        this.exportManager.setSprites(sprites);
+        this.elements.spriteStatusText.textContent =
+          `${sprites.sheets.length} sheet(s), ${sprites.cues.length} tiles - included in Save All (ZIP)`;
+        this.elements.spriteStatus.classList.remove('hidden');
+        this.updateButtonStates();
+      }
+    } finally {
+      this.elements.spriteBtn.disabled = false;
+      this.stopAutoCapture();
+    }
+  }
+
+  discardSprites() {
+    this.exportManager.setSprites(null);
+    this.elements.spriteStatus.classList.add('hidden');
+    this.updateButtonStates();
+  }
+
+  async exportAnimation() {
+    if (this.captureQueue.running || this.sceneDetector.running) return;
+    
+    const output = this.getOutputSize();
+    const fps = Math.max(1, Math.min(50, parseFloat(this.elements.animFps.value) || 10));
+    const width = Math.max(16, parseInt(this.elements.animWidth.value) || 480);
+    const height = Math.max(2, Math.round(width * output.height / output.width / 2) * 2);
+    const maxFrames = 300;
+    let frames = [];
+    
+    this.elements.animExportBtn.disabled = true;
+    
+    try {
+      if (this.elements.animSource.value === 'gallery') {
+        const selection = this.thumbnailGenerator.getSelection();
+        const thumbnails = selection.length > 0 ? selection : this.thumbnailGenerator.getAll();
+        if (thumbnails.length > maxFrames &&
+            !confirm(`An animation can hold ${maxFrames} frames. Export the first ${maxFrames} of ${thumbnails.length} thumbnails?`)) {
+          return;
+        }
+        
+        frames = await Promise.all(thumbnails
+          .slice(0, maxFrames)
+          .map(thumbnail => this.thumbnailGenerator.renderCanvas(thumbnail, width, height)));
+      } else {
+        if (!this.videoManager.isLoaded) return;
+        
+        const video = this.videoManager.video;
+        const start = Math.max(0, parseFloat(this.elements.animStart.value) || 0);
+        const end = Math.min(video.duration, parseFloat(this.elements.animEnd.value) || start + 3);
+        const positions = [];
+        for (let t = start; t < end && positions.length < maxFrames; t += 1 / fps) {
+          positions.push(t);
+        }
+        
+        const options = this.getCaptureOptions();
+        options.crop = this.thumbnailGenerator.fitCrop(options.crop, video.videoWidth, video.videoHeight, width / height);
+        
+        this.showCaptureProgress(0, `0 of ${positions.length}`);
+        const completed = await this.captureQueue.run(positions, () => {
+          this.thumbnailGenerator.drawFrame(video, video.videoWidth, video.videoHeight, width, height, options);
+          frames.push(this.thumbnailGenerator.copyCanvas());
+        }, {
+          onProgress: ({ done, total, eta }) => {
+            this.showCaptureProgress(done / total, `Animation: ${done} of ${total} · ETA ${this.formatTime(eta)}`);
+          }
+        });
+        if (!completed) return;
+      }
+      
+      if (frames.length === 0) return;
+      this.showCaptureProgress(1, 'Encoding animation...');
+      
+      await this.exportManager.downloadAnimation(frames, {
+        format: this.elements.animFormat.value,
+        delay: Math.round(1000 / fps),
+        loop: this.elements.animLoop.checked
+      });
+    } catch (error) {
+      alert('Could not create the animation. Please try the other format or fewer frames.');
+      console.error(error);
+    } finally {
+      this.elements.animExportBtn.disabled = false;
+      this.stopAutoCapture();
+    }
+  }
+
+  stopAutoCapture() {
+    this.captureQueue.cancel();
+    this.sceneDetector.cancel();
+    this.elements.autoSnapBtn.textContent = 'Auto Capture';
+    this.elements.captureProgress.classList.add('hidden');
+  }
+
+  showCaptureProgress(fraction, text) {
+    this.elements.captureProgress.classList.remove('hidden');
+    this.elements.captureProgressBar.style.width = `${Math.round(fraction * 100)}%`;
+    this.elements.captureProgressText.textContent = text;
+  }
+
+  addThumbnailToGrid(thumbnail) {
+    const grid = this.elements.thumbnailsGrid;
+    
+    if (this.thumbnailGenerator.getCount() === 1) {
+      grid.innerHTML = '';
+    }
+    
+    const index = this.thumbnailGenerator.thumbnails.indexOf(thumbnail);
+    const item = this.createThumbnailItem(thumbnail, index);
+    item.classList.add('animate-fade-in');
+    grid.appendChild(item);
+    this.elements.thumbCount.textContent = `(${this.thumbnailGenerator.getCount()})`;
+    
+    this.selectThumbnail(index);
+    this.scheduleSave();
+  }
+
+  getThumbnailInfo(thumbnail) {
+    const { source } = thumbnail;
+    const time = thumbnail.frame !== null && thumbnail.frame !== undefined
+      ? `${thumbnail.time.toFixed(2)}s · #${thumbnail.frame}`
+      : `${thumbnail.time.toFixed(2)}s`;
+    if (!source || source.type === 'youtube') return time;
+    
+    const name = this.escapeHTML(source.name);
+    return `<span class="thumb-source" title="${name}">${name}</span>${time}`;
+  }
+
+  getScoreBadge(thumbnail) {
+    const { score } = thumbnail;
+    const flagged = score.flags.length > 0;
+    const title = [
+      `Sharpness ${score.sharpness}`,
+      `Brightness ${score.brightness}`,
+      `Contrast ${score.contrast}`,
+      `Colorfulness ${score.colorfulness}`,
+      ...score.flags.map(flag => `Flagged: ${flag}`)
+    ].join('\n');
+    
+    return `<div class="thumb-score${flagged ? ' flagged' : ''}" title="${title}">${flagged ? '⚠ ' : ''}${score.total}</div>`;
+  }
+
+  getComplianceBadge(thumbnail) {
+    const { preset, issues } = this.complianceChecker.checkThumbnail(thumbnail);
+    if (!preset || !preset.rules) return '';
+    
+    const title = issues.length > 0 ? issues.join('\n') : `Meets ${preset.name} requirements`;
+    return `<div class="thumb-compliance${issues.length > 0 ? ' failed' : ''}" title="${this.escapeHTML(title).replace(/"/g, '&quot;')}">${issues.length > 0 ? `⚠ ${issues.length}` : '✓'}</div>`;
+  }
+
+  sortThumbnails() {
+    this.recordHistory();
+    this.thumbnailGenerator.sortBy(this.elements.gallerySort.value);
+    this.renderThumbnailGrid();
+  }
+
+  keepTopThumbnails() {
+    const count = parseInt(this.elements.keepTopCount.value);
+    if (!count || count < 1) return;
+    
+    this.recordHistory();
+    this.thumbnailGenerator.keepTop(count);
+    this.renderThumbnailGrid();
+    this.updateButtonStates();
+  }
+
+  selectThumbnail(index) {
+    const thumbnail = this.thumbnailGenerator.select(index);
+    this.showSelection();
+    
+    if (thumbnail && this.videoManager.hasSource(thumbnail.source)) {
+      this.videoManager.seek(thumbnail.time);
+    }
+  }
+
+  handleThumbnailClick(index, e) {
+    const anchor = this.thumbnailGenerator.selectedIndex;
+    
+    if (e.shiftKey && anchor >= 0) {
+      this.thumbnailGenerator.selectRange(anchor, index);
+      this.showSelection();
+    } else if (e.ctrlKey || e.metaKey) {
+      this.thumbnailGenerator.toggleSelection(index);
+      this.showSelection();
+    } else {
+      this.selectThumbnail(index);
+    }
+  }
+
+  showSelection() {
+    const thumbnails = this.thumbnailGenerator.getAll();
+    this.elements.thumbnailsGrid.querySelectorAll('.thumbnail-item').forEach(item => {
+      const index = parseInt(item.dataset.index);
+      item.classList.toggle('selected', this.thumbnailGenerator.isSelected(thumbnails[index]));
+      item.classList.toggle('active', index === this.thumbnailGenerator.selectedIndex);
+    });
+    
+    const selected = this.thumbnailGenerator.getSelected();
+    this.elements.previewContainer.classList.toggle('hidden', !selected);
+    const changed = this.overlayEditor.thumbnail !== selected;
+    this.overlayEditor.setThumbnail(selected);
+    if (selected && changed) {
+      this.refreshEditorBackground(selected);
+    }
+    if (selected) {
+      this.populateAdjustments(this.elements.thumbnailAdjustments, selected.adjustments);
+      this.elements.thumbnailCrop.classList.toggle('hidden', !selected.crop);
+    }
+    this.updateButtonStates();
+  }
+
+  setupGallery() {
+    const grid = this.elements.thumbnailsGrid;
+    
+    grid.addEventListener('click', (e) => {
+      const item = e.target.closest('.thumbnail-item');
+      if (!item) return;
+      
+      const index = this.thumbnailGenerator.indexOfId(item.dataset.id);
+      if (index === -1) return;
+      
+      if (e.target.closest('.thumb-remove')) {
+        this.removeThumbnail(index);
+      } else {
+        this.handleThumbnailClick(index, e);
+      }
+    });
+    
+    grid.addEventListener('dblclick', (e) => {
+      const item = e.target.closest('.thumbnail-item');
+      if (!item || e.target.closest('.thumb-remove')) return;
+      
+      const index = this.thumbnailGenerator.indexOfId(item.dataset.id);
+      if (index === -1) return;
+      
+      this.selectThumbnail(index);
+      this.openViewer();
     });
     
-    this.elements.playPauseBtn.addEventListener('click', () => this.videoManager.togglePlayPause());
-    
-    document.querySelectorAll('[data-seek]').forEach(btn => {
-      btn.addEventListener('click', () => this.handleSeek(btn.dataset.seek));
+    grid.addEventListener('dragstart', (e) => {
+      const item = e.target.closest('.thumbnail-item');
+      if (!item) return;
+      
+      this.dragIndex = this.thumbnailGenerator.indexOfId(item.dataset.id);
+      item.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+      e.dataTransfer.setData('text/plain', item.dataset.id);
     });
     
-    document.addEventListener('videoPlayStateChange', (e) => {
-      this.updatePlayPauseButton(e.detail.isPlaying);
+    grid.addEventListener('dragover', (e) => {
+      const item = e.target.closest('.thumbnail-item');
+      if (this.dragIndex < 0 || !item) return;
+      
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      this.clearDropMarkers();
+      item.classList.add(this.isDropAfter(item, e) ? 'drop-after' : 'drop-before');
     });
     
-    this.elements.presetBtns.forEach(btn => {
-      btn.addEventListener('click', () => this.handlePresetSelect(btn));
+    grid.addEventListener('drop', (e) => {
+      const item = e.target.closest('.thumbnail-item');
+      if (this.dragIndex < 0 || !item) return;
+      
+      e.preventDefault();
+      let target = this.thumbnailGenerator.indexOfId(item.dataset.id) + (this.isDropAfter(item, e) ? 1 : 0);
+      if (target > this.dragIndex) target--;
+      this.moveThumbnail(this.dragIndex, target);
     });
     
-    this.elements.outputWidth.addEventListener('input', () => this.handleSizeChange('width'));
-    this.elements.outputHeight.addEventListener('input', () => this.handleSizeChange('height'));
+    grid.addEventListener('dragend', () => {
+      this.dragIndex = -1;
+      this.clearDropMarkers();
+      grid.querySelectorAll('.dragging').forEach(item => item.classList.remove('dragging'));
+    });
     
-    this.elements.snapBtn.addEventListener('click', () => this.captureFrame());
-    this.elements.autoSnapBtn.addEventListener('click', () => this.startAutoCapture());
+    this.elements.selectAllBtn.addEventListener('click', () => this.toggleSelectAll());
+    this.elements.removeSelectedBtn.addEventListener('click', () => this.removeSelectedThumbnails());
+    this.elements.undoBtn.addEventListener('click', () => this.undo());
+    this.elements.redoBtn.addEventListener('click', () => this.redo());
     
-    this.elements.exportFormat.addEventListener('change', (e) => {
-      this.exportManager.setFormat(e.target.value);
+    this.elements.compareBtn.addEventListener('click', () => this.openCompare());
+    this.elements.compareCloseBtn.addEventListener('click', () => this.closeCompare());
+    this.elements.compareSwapBtn.addEventListener('click', () => {
+      this.comparePair.reverse();
+      this.renderCompare();
     });
-    
-    this.elements.exportQuality.addEventListener('input', (e) => {
-      this.elements.qualityValue.textContent = e.target.value;
-      this.exportManager.setQuality(parseInt(e.target.value));
+    this.elements.compareModal.querySelectorAll('[data-compare-mode]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.compareMode = btn.dataset.compareMode;
+        this.renderCompare();
+      });
+    });
+    this.elements.compareSplitRange.addEventListener('input', () => this.updateCompareSplit());
+  }
+
+  isDropAfter(item, e) {
+    const rect = item.getBoundingClientRect();
+    return e.clientX > rect.left + rect.width / 2;
+  }
+
+  clearDropMarkers() {
+    this.elements.thumbnailsGrid.querySelectorAll('.drop-before, .drop-after').forEach(item => {
+      item.classList.remove('drop-before', 'drop-after');
     });
+  }
+
+  moveThumbnail(fromIndex, toIndex) {
+    if (fromIndex === toIndex) return;
     
-    this.elements.saveSelectedBtn.addEventListener('click', () => this.saveSelected());
-    this.elements.saveAllBtn.addEventListener('click', () => this.saveAll());
-    this.elements.clearBtn.addEventListener('click', () => this.clearThumbnails());
+    this.recordHistory();
+    this.thumbnailGenerator.move(fromIndex, toIndex);
+    this.renderThumbnailGrid();
+  }
 
-    const fileInput = this.elements.videoFile;
-    const dropZone = fileInput.parentElement;
+  toggleSelectAll() {
+    if (this.thumbnailGenerator.getSelection().length === this.thumbnailGenerator.getCount()) {
+      this.thumbnailGenerator.clearSelection();
+    } else {
+      this.thumbnailGenerator.selectAll();
+    }
+    this.showSelection();
+  }
+
+  removeThumbnail(index) {
+    this.recordHistory();
+    this.thumbnailGenerator.remove(index);
+    this.renderThumbnailGrid();
+    this.updateButtonStates();
+  }
+
+  removeSelectedThumbnails() {
+    const selection = this.thumbnailGenerator.getSelection();
+    if (selection.length === 0) return;
     
-    ['dragenter', 'dragover', 'dragleave', 'drop'].forEach(eventName => {
-      dropZone.addEventListener(eventName, (e) => {
-        e.preventDefault();
-        e.stopPropagation();
-      });
-    });
+    this.recordHistory();
+    this.thumbnailGenerator.removeMany(selection);
+    this.renderThumbnailGrid();
+    this.updateButtonStates();
+  }
+
+  recordHistory() {
+    this.galleryHistory.record(this.thumbnailGenerator.getState());
+  }
+
+  undo() {
+    this.applyHistory(this.galleryHistory.undo(this.thumbnailGenerator.getState()));
+  }
+
+  redo() {
+    this.applyHistory(this.galleryHistory.redo(this.thumbnailGenerator.getState()));
+  }
+
+  applyHistory(state) {
+    if (!state) return;
     
-    ['dragenter', 'dragover'].forEach(eventName => {
-      dropZone.addEventListener(eventName, () => {
-        dropZone.classList.add('border-primary-500', 'bg-primary-500/10');
-      });
+    this.thumbnailGenerator.setState(state);
+    this.renderThumbnailGrid();
+    this.updateButtonStates();
+  }
+
+  openCompare() {
+    const selection = this.thumbnailGenerator.getSelection();
+    if (selection.length < 2) return;
+    
+    this.comparePair = selection.slice(0, 2);
+    this.elements.compareModal.classList.remove('hidden');
+    this.renderCompare();
+  }
+
+  closeCompare() {
+    this.elements.compareModal.classList.add('hidden');
+    this.comparePair = [];
+  }
+
+  isCompareOpen() {
+    return !this.elements.compareModal.classList.contains('hidden');
+  }
+
+  renderCompare() {
+    const [a, b] = this.comparePair;
+    const modal = this.elements.compareModal;
+    const split = this.compareMode === 'split';
+    
+    modal.querySelectorAll('[data-compare-image]').forEach(img => {
+      img.src = img.dataset.compareImage === 'a' ? a.url : b.url;
+    });
+    modal.querySelectorAll('[data-compare-caption]').forEach(caption => {
+      const label = caption.dataset.compareCaption;
+      caption.textContent = this.getCompareCaption(label.toUpperCase(), label === 'a' ? a : b);
+    });
+    modal.querySelectorAll('[data-compare-mode]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.compareMode === this.compareMode);
     });
     
-    ['dragleave', 'drop'].forEach(eventName => {
-      dropZone.addEventListener(eventName, () => {
-        dropZone.classList.remove('border-primary-500', 'bg-primary-500/10');
+    this.elements.compareSide.classList.toggle('hidden', split);
+    this.elements.compareSplit.classList.toggle('hidden', !split);
+    this.updateCompareSplit();
+  }
+
+  getCompareCaption(label, thumbnail) {
+    const position = Number.isInteger(thumbnail.frame)
+      ? `${thumbnail.time.toFixed(2)}s · #${thumbnail.frame}`
+      : `${thumbnail.time.toFixed(2)}s`;
+    const source = thumbnail.source && thumbnail.source.type !== 'youtube' ? `${thumbnail.source.name} · ` : '';
+    return `${label} · ${source}${position} · ${thumbnail.width}x${thumbnail.height} · ${thumbnail.format.toUpperCase()} · ${thumbnail.size}`;
+  }
+
+  updateCompareSplit() {
+    const value = this.elements.compareSplitRange.value;
+    this.elements.compareSplitA.style.clipPath = `inset(0 ${100 - value}% 0 0)`;
+    this.elements.compareSplitLine.style.left = `${value}%`;
+  }
+
+  setupViewer() {
+    this.elements.viewerOpenBtn.addEventListener('click', () => this.openViewer());
+    this.elements.viewerCloseBtn.addEventListener('click', () => this.closeViewer());
+    this.elements.viewerZoomInBtn.addEventListener('click', () => this.thumbnailViewer.zoomBy(1.25));
+    this.elements.viewerZoomOutBtn.addEventListener('click', () => this.thumbnailViewer.zoomBy(0.8));
+    this.elements.viewerFitBtn.addEventListener('click', () => this.thumbnailViewer.fit());
+    this.elements.viewerActualBtn.addEventListener('click', () => this.thumbnailViewer.actualSize());
+    this.elements.viewerZonesSelect.addEventListener('change', () => this.renderViewerZones());
+    this.elements.viewerModal.querySelectorAll('[data-viewer-mode]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.viewerMode = btn.dataset.viewerMode;
+        this.renderViewerMode();
       });
     });
     
-    dropZone.addEventListener('drop', (e) => {
-      const files = e.dataTransfer.files;
-      if (files.length > 0 && files[0].type.startsWith('video/')) {
-        this.videoManager.loadFromFile(files[0]);
-      }
-    });
+    this.thumbnailViewer.onZoomCallback = (zoom) => {
+      this.elements.viewerZoom.textContent = `${Math.round(zoom * 100)}%`;
+      this.elements.viewerActualBtn.classList.toggle('active', Math.abs(zoom - 1) < 0.001);
+    };
+  }
 
-    document.addEventListener('keydown', (e) => {
-      if (e.target.tagName === 'INPUT') return;
-      
-      switch(e.code) {
-        case 'Space':
-          e.preventDefault();
-          this.videoManager.togglePlayPause();
-          break;
-        case 'ArrowLeft':
-          e.preventDefault();
-          this.videoManager.seekRelative(e.shiftKey ? -5 : -1);
-          break;
-        case 'ArrowRight':
-          e.preventDefault();
-          this.videoManager.seekRelative(e.shiftKey ? 5 : 1);
-          break;
-        case 'KeyC':
-          if (!e.ctrlKey && !e.metaKey) {
-            this.captureFrame();
-          }
-          break;
-      }
-    });
+  isViewerOpen() {
+    return !this.elements.viewerModal.classList.contains('hidden');
   }
 
-  setupVideoCallbacks() {
-    this.videoManager.onLoadCallback = (info) => {
-      this.elements.videoPlaceholder.classList.add('hidden');
-      this.elements.videoControls.classList.remove('hidden');
-      this.elements.videoInfo.classList.remove('hidden');
-      
-      this.elements.infoSize.textContent = `${info.width}x${info.height}`;
-      this.elements.infoDuration.textContent = this.formatTime(info.duration);
-      this.elements.timeline.max = info.duration;
-      
-      this.elements.snapBtn.disabled = false;
-      this.elements.autoSnapBtn.disabled = false;
-    };
+  openViewer() {
+    const thumbnail = this.thumbnailGenerator.getSelected();
+    if (!thumbnail) return;
     
-    this.videoManager.onTimeUpdateCallback = (info) => {
-      this.elements.timeline.value = info.currentTime;
-      this.elements.infoPosition.textContent = this.formatTime(info.currentTime);
-    };
+    const index = this.thumbnailGenerator.selectedIndex;
+    this.elements.viewerCaption.textContent = this.getCompareCaption(`#${index + 1}`, thumbnail);
+    this.elements.viewerModal.querySelectorAll('[data-viewer-feed]').forEach(img => {
+      img.src = thumbnail.url;
+    });
+    this.renderViewerZoneOptions(thumbnail);
+    this.elements.viewerModal.classList.remove('hidden');
+    this.thumbnailViewer.open(thumbnail.url, thumbnail.width, thumbnail.height);
+    this.renderViewerMode();
   }
 
-  toggleSourceInput(type) {
-    this.elements.fileInputSection.classList.add('hidden');
-    this.elements.urlInputSection.classList.add('hidden');
-    this.elements.youtubeInputSection.classList.add('hidden');
+  closeViewer() {
+    this.elements.viewerModal.classList.add('hidden');
+  }
+
+  renderViewerMode() {
+    const mobile = this.viewerMode === 'mobile';
     
-    if (type === 'file') {
-      this.elements.fileInputSection.classList.remove('hidden');
-    } else if (type === 'url') {
-      this.elements.urlInputSection.classList.remove('hidden');
-    } else if (type === 'youtube') {
-      this.elements.youtubeInputSection.classList.remove('hidden');
+    this.elements.viewerModal.querySelectorAll('[data-viewer-mode]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.viewerMode === this.viewerMode);
+    });
+    this.elements.viewerStage.classList.toggle('hidden', mobile);
+    this.elements.viewerZoomControls.classList.toggle('hidden', mobile);
+    this.elements.viewerMobile.classList.toggle('hidden', !mobile);
+    
+    if (!mobile) {
+      this.thumbnailViewer.fit();
     }
   }
 
-  handleFileSelect(e) {
-    const file = e.target.files[0];
-    if (file) {
-      this.videoManager.loadFromFile(file);
-    }
+  renderViewerZoneOptions(thumbnail) {
+    const select = this.elements.viewerZonesSelect;
+    const entries = this.presetManager.getSafeZoneEntries();
+    const target = this.complianceChecker.getTarget(thumbnail.preset, thumbnail.width, thumbnail.height);
+    const current = target && entries.some(preset => preset.key === target.key) ? target.key : select.value;
+    
+    select.innerHTML = '<option value="">No safe zones</option>' + entries.map(preset => (
+      `<option value="${preset.key}">${this.escapeHTML(preset.name)}</option>`
+    )).join('');
+    select.value = entries.some(preset => preset.key === current) ? current : '';
+    this.renderViewerZones();
   }
 
-  handleUrlLoad() {
-    const url = this.elements.videoUrl.value.trim();
-    if (url) {
-      this.videoManager.loadFromURL(url);
+  renderViewerZones() {
+    const key = this.elements.viewerZonesSelect.value;
+    this.thumbnailViewer.setZones(key ? this.presetManager.getPreset(key).safeZones : []);
+  }
+
+  handleViewerKey(e) {
+    if (!this.isViewerOpen()) return false;
+    
+    switch(e.code) {
+      case 'Escape':
+        this.closeViewer();
+        break;
+      case 'Equal':
+      case 'NumpadAdd':
+        this.thumbnailViewer.zoomBy(1.25);
+        break;
+      case 'Minus':
+      case 'NumpadSubtract':
+        this.thumbnailViewer.zoomBy(0.8);
+        break;
+      case 'Digit0':
+        this.thumbnailViewer.fit();
+        break;
+      case 'Digit1':
+        this.thumbnailViewer.actualSize();
+        break;
     }
+    return true;
   }
 
-  async handleYoutubeFetch() {
-    const url = this.elements.youtubeUrl.value.trim();
-    if (!url) return;
+  setupMockups() {
+    this.elements.mockupOpenBtn.addEventListener('click', () => this.openMockups());
+    this.elements.mockupCloseBtn.addEventListener('click', () => this.closeMockups());
+    this.elements.mockupExportBtn.addEventListener('click', () => this.exportMockup());
+    this.elements.mockupModal.querySelectorAll('[data-mockup]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.mockupKey = btn.dataset.mockup;
+        this.renderMockup();
+      });
+    });
+    [this.elements.mockupTitle, this.elements.mockupChannel].forEach(input => {
+      input.addEventListener('input', () => {
+        if (this.isMockupOpen()) this.renderMockup();
+      });
+    });
+  }
 
-    this.elements.fetchYoutubeBtn.textContent = 'Fetching...';
-    this.elements.fetchYoutubeBtn.disabled = true;
+  isMockupOpen() {
+    return !this.elements.mockupModal.classList.contains('hidden');
+  }
 
-    try {
-      const result = await this.youtubeFetcher.fetchAvailableThumbnails(url);
-      this.displayYoutubeThumbnails(result);
-    } catch (error) {
-      alert('Could not fetch thumbnails. Please check the URL and try again.');
-      console.error(error);
-    } finally {
-      this.elements.fetchYoutubeBtn.textContent = 'Fetch Thumbnails';
-      this.elements.fetchYoutubeBtn.disabled = false;
+  openMockups() {
+    const thumbnail = this.thumbnailGenerator.getSelected();
+    if (!thumbnail) return;
+    
+    if (!this.elements.mockupTitle.value && thumbnail.source && thumbnail.source.type !== 'youtube') {
+      this.elements.mockupTitle.value = thumbnail.source.name.replace(/\.[^.]+$/, '');
     }
+    this.elements.mockupModal.classList.remove('hidden');
+    this.renderMockup();
   }
 
-  displayYoutubeThumbnails(result) {
-    const grid = this.elements.youtubeThumbGrid;
-    grid.innerHTML = '';
+  closeMockups() {
+    this.elements.mockupModal.classList.add('hidden');
+    this.elements.mockupStage.innerHTML = '';
+    this.mockupCanvas = null;
+  }
 
-    if (result.thumbnails.length === 0) {
-      grid.innerHTML = '<p class="col-span-2 text-slate-500 text-center py-4">No thumbnails found for this video.</p>';
-      this.elements.youtubeThumbnails.classList.remove('hidden');
-      return;
-    }
+  async renderMockup() {
+    const thumbnail = this.thumbnailGenerator.getSelected();
+    if (!thumbnail) return;
+    
+    this.elements.mockupModal.querySelectorAll('[data-mockup]').forEach(btn => {
+      btn.classList.toggle('active', btn.dataset.mockup === this.mockupKey);
+    });
+    
+    const key = this.mockupKey;
+    const canvas = await this.mockupRenderer.render(key, thumbnail, {
+      title: this.elements.mockupTitle.value,
+      channel: this.elements.mockupChannel.value
+    });
+    if (!this.isMockupOpen() || key !== this.mockupKey || this.thumbnailGenerator.getSelected() !== thumbnail) return;
+    
+    canvas.className = 'max-w-full h-auto rounded-lg shadow-2xl';
+    canvas.style.width = `${canvas.width / this.mockupRenderer.scale}px`;
+    this.elements.mockupStage.innerHTML = '';
+    this.elements.mockupStage.appendChild(canvas);
+    this.mockupCanvas = canvas;
+  }
 
-    result.thumbnails.forEach((thumb) => {
-      const card = document.createElement('div');
-      card.className = 'relative rounded-xl overflow-hidden bg-black/30 cursor-pointer hover:ring-2 hover:ring-red-500 transition-all group';
-      card.innerHTML = `
-        <img src="${thumb.url}" alt="${thumb.name}" class="w-full h-auto">
-        <div class="absolute bottom-0 left-0 right-0 p-2 bg-gradient-to-t from-black/80 to-transparent">
-          <p class="text-white text-sm font-medium">${thumb.name}</p>
-          <p class="text-slate-300 text-xs">${thumb.actualWidth}x${thumb.actualHeight}</p>
-        </div>
-        <div class="absolute inset-0 flex items-center justify-center bg-black/50 opacity-0 group-hover:opacity-100 transition-opacity">
-          <span class="px-4 py-2 bg-red-600 rounded-lg text-sm font-medium">Add to Gallery</span>
+  async exportMockup() {
+    if (!this.mockupCanvas) return;
+    
+    const index = this.thumbnailGenerator.selectedIndex;
+    await this.exportManager.downloadCanvas(this.mockupCanvas, `mockup_${this.mockupKey}_${String(index + 1).padStart(3, '0')}`);
+  }
+
+  renderThumbnailGrid() {
+    const grid = this.elements.thumbnailsGrid;
+    grid.innerHTML = '';
+    
+    const thumbnails = this.thumbnailGenerator.getAll();
+    this.scheduleSave();
+    
+    if (thumbnails.length === 0) {
+      grid.innerHTML = `
+        <div class="col-span-full text-center py-12 text-slate-500">
+          <svg class="w-12 h-12 mx-auto mb-3 opacity-50" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="1" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
+          </svg>
+          <p>Captured thumbnails will appear here</p>
         </div>
       `;
-      
-      card.addEventListener('click', () => this.addYoutubeThumbnailToGallery(thumb));
-      grid.appendChild(card);
+      this.elements.previewContainer.classList.add('hidden');
+      this.overlayEditor.setThumbnail(null);
+      this.elements.thumbCount.textContent = '(0)';
+      return;
+    }
+    
+    thumbnails.forEach((thumb, index) => {
+      grid.appendChild(this.createThumbnailItem(thumb, index));
     });
+    
+    this.elements.thumbCount.textContent = `(${thumbnails.length})`;
+    this.showSelection();
+  }
 
-    this.elements.youtubeThumbnails.classList.remove('hidden');
+  createThumbnailItem(thumbnail, index) {
+    const item = document.createElement('div');
+    item.className = 'thumbnail-item';
+    item.dataset.index = index;
+    item.dataset.id = thumbnail.id;
+    item.draggable = true;
+    
+    item.innerHTML = `
+      <img src="${thumbnail.url}" alt="Thumbnail at ${thumbnail.time.toFixed(2)}s" draggable="false">
+      <div class="thumb-info">${this.getThumbnailInfo(thumbnail)}</div>
+      ${this.getScoreBadge(thumbnail)}
+      ${this.getComplianceBadge(thumbnail)}
+      <div class="thumb-remove">×</div>
+    `;
+    return item;
   }
 
-  async addYoutubeThumbnailToGallery(thumb) {
-    const img = new Image();
-    img.crossOrigin = 'anonymous';
+  clearThumbnails() {
+    this.stopAutoCapture();
+    
+    if (this.thumbnailGenerator.getCount() > 0) {
+      this.recordHistory();
+    }
+    this.thumbnailGenerator.clear();
+    this.renderThumbnailGrid();
+    this.updateButtonStates();
+  }
+
+  updateButtonStates() {
+    const count = this.thumbnailGenerator.getCount();
+    const hasSelection = this.thumbnailGenerator.selectedIndex >= 0;
+    const selectionCount = this.thumbnailGenerator.getSelection().length;
     
-    img.onload = () => {
-      const canvas = document.getElementById('canvas');
-      const ctx = canvas.getContext('2d');
-      canvas.width = img.naturalWidth;
-      canvas.height = img.naturalHeight;
-      ctx.drawImage(img, 0, 0);
-      
-      const format = this.elements.exportFormat.value;
-      const quality = parseInt(this.elements.exportQuality.value) / 100;
-      const mimeType = format === 'png' ? 'image/png' : format === 'jpeg' ? 'image/jpeg' : 'image/webp';
-      const dataURL = canvas.toDataURL(mimeType, quality);
-      
-      const thumbnail = {
-        id: Date.now() + Math.random(),
-        dataURL,
-        time: 0,
-        width: img.naturalWidth,
-        height: img.naturalHeight,
-        format,
-        size: this.calculateImageSize(dataURL),
-        isYoutube: true,
-        quality: thumb.name
-      };
-      
-      this.thumbnailGenerator.thumbnails.push(thumbnail);
-      this.addThumbnailToGrid(thumbnail);
-      this.updateButtonStates();
-      this.flashCapture();
-    };
+    this.elements.saveSelectedBtn.disabled = selectionCount === 0;
+    this.elements.selectAllBtn.disabled = count === 0;
+    this.elements.selectAllBtn.textContent = count > 0 && selectionCount === count ? 'Select None' : 'Select All';
+    this.elements.compareBtn.disabled = selectionCount < 2;
+    this.elements.removeSelectedBtn.disabled = selectionCount === 0;
+    this.elements.undoBtn.disabled = !this.galleryHistory.canUndo();
+    this.elements.redoBtn.disabled = !this.galleryHistory.canRedo();
+    this.elements.saveAllBtn.disabled = count === 0 && !this.exportManager.sprites;
+    this.elements.clearBtn.disabled = count === 0;
+    this.elements.rerenderAllBtn.disabled = count === 0;
+    this.elements.keepTopBtn.disabled = count === 0;
     
-    img.onerror = () => {
-      alert('Could not load this thumbnail. It may not be available in this resolution.');
+    const template = this.getSelectedTemplate();
+    this.elements.templateApplyBtn.disabled = !template || !hasSelection;
+    this.elements.templateApplyAllBtn.disabled = !template || count === 0;
+    this.elements.templateSaveBtn.disabled = !hasSelection;
+    this.elements.templateExportBtn.disabled = !template;
+    this.elements.templateDeleteBtn.disabled = !template;
+  }
+
+  getOutputSize() {
+    return {
+      width: parseInt(this.elements.outputWidth.value),
+      height: parseInt(this.elements.outputHeight.value)
     };
-    
-    img.src = thumb.url;
   }
 
-  calculateImageSize(dataURL) {
-    const base64 = dataURL.split(',')[1];
-    const bytes = atob(base64).length;
-    if (bytes < 1024) return `${bytes} B`;
-    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
-    return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+  applyExportSize() {
+    const useOutput = this.elements.exportSize.value === 'output';
+    this.exportManager.setSize(useOutput ? this.getOutputSize() : null);
   }
 
-  handleSeek(value) {
-    if (value === 'start') {
-      this.videoManager.seekToStart();
-    } else if (value === 'end') {
-      this.videoManager.seekToEnd();
-    } else {
-      this.videoManager.seekRelative(parseFloat(value));
-    }
+  renderBatchPresets() {
+    const container = this.elements.batchPresets;
+    const checked = new Set(Array.from(container.querySelectorAll('input:checked'), input => input.value));
+    container.innerHTML = '';
+    
+    this.presetManager.getEntries()
+      .filter(preset => preset.key !== 'custom')
+      .forEach(preset => {
+        const label = document.createElement('label');
+        label.className = 'flex items-center gap-2 cursor-pointer text-xs text-slate-400';
+        label.innerHTML = `
+          <input type="checkbox" value="${preset.key}"${checked.has(preset.key) ? ' checked' : ''}>
+          <span>${this.escapeHTML(preset.name)} <span class="text-slate-500">${preset.width}x${preset.height}</span></span>
+        `;
+        container.appendChild(label);
+      });
   }
 
-  updatePlayPauseButton(isPlaying) {
-    if (isPlaying) {
-      this.elements.playIcon.classList.add('hidden');
-      this.elements.pauseIcon.classList.remove('hidden');
-    } else {
-      this.elements.playIcon.classList.remove('hidden');
-      this.elements.pauseIcon.classList.add('hidden');
-    }
+  applyBatchPresets() {
+    const keys = Array.from(this.elements.batchPresets.querySelectorAll('input:checked'), input => input.value);
+    const presets = this.presetManager.getEntries().filter(preset => keys.includes(preset.key));
+    this.exportManager.setPresets(presets);
   }
 
-  handlePresetSelect(btn) {
-    this.elements.presetBtns.forEach(b => b.classList.remove('active'));
-    btn.classList.add('active');
+  applyNaming() {
+    this.exportManager.setNaming(this.elements.filenameTemplate.value, this.elements.zipFolder.value);
+  }
+
+  saveSelected() {
+    const thumbnails = this.thumbnailGenerator.getSelection();
+    if (thumbnails.length === 0) return;
     
-    const preset = btn.dataset.preset;
-    const width = parseInt(btn.dataset.width);
-    const height = parseInt(btn.dataset.height);
+    this.applyExportSize();
+    this.applyBatchPresets();
+    this.applyNaming();
+    this.exportManager.downloadSelected(thumbnails);
+  }
+
+  saveAll() {
+    const thumbnails = this.thumbnailGenerator.getAll();
+    this.applyExportSize();
+    this.applyBatchPresets();
+    this.applyNaming();
+    this.exportManager.downloadAll(thumbnails);
+  }
+
+  setupTemplates() {
+    this.elements.templateSelect.addEventListener('change', () => this.updateButtonStates());
+    this.elements.templateApplyBtn.addEventListener('click', () => {
+      const thumbnail = this.thumbnailGenerator.getSelected();
+      if (thumbnail) this.applyTemplate([thumbnail]);
+    });
+    this.elements.templateApplyAllBtn.addEventListener('click', () => {
+      this.applyTemplate(this.thumbnailGenerator.getAll());
+    });
+    this.elements.templateSaveBtn.addEventListener('click', () => this.saveTemplate());
+    this.elements.templateExportBtn.addEventListener('click', () => this.exportTemplate());
+    this.elements.templateImportInput.addEventListener('change', (e) => this.importTemplates(e));
+    this.elements.templateDeleteBtn.addEventListener('click', () => this.deleteTemplate());
     
-    this.elements.outputWidth.value = width;
-    this.elements.outputHeight.value = height;
-    this.updateRatioDisplay();
+    this.renderTemplateOptions();
   }
 
-  handleSizeChange(changed) {
-    if (!this.elements.lockRatio.checked) {
-      this.updateRatioDisplay();
-      return;
-    }
+  renderTemplateOptions(selectedId = this.elements.templateSelect.value) {
+    const templates = this.templateManager.getAll();
+    const select = this.elements.templateSelect;
     
-    const width = parseInt(this.elements.outputWidth.value) || 1;
-    const height = parseInt(this.elements.outputHeight.value) || 1;
-    const currentRatio = width / height;
+    select.innerHTML = templates.length === 0
+      ? '<option value="">No templates</option>'
+      : templates.map(template => `
+        <option value="${template.id}">${this.escapeHTML(template.name)} (${template.width}×${template.height})</option>
+      `).join('');
     
-    if (changed === 'width') {
-      const newHeight = Math.round(width / currentRatio);
-      this.elements.outputHeight.value = newHeight;
-    } else {
-      const newWidth = Math.round(height * currentRatio);
-      this.elements.outputWidth.value = newWidth;
+    if (this.templateManager.get(selectedId)) {
+      select.value = selectedId;
     }
-    
-    this.updateRatioDisplay();
+    this.updateButtonStates();
   }
 
-  updateRatioDisplay() {
-    const width = parseInt(this.elements.outputWidth.value) || 1;
-    const height = parseInt(this.elements.outputHeight.value) || 1;
-    this.elements.ratioDisplay.textContent = this.presetManager.calculateRatio(width, height);
+  getSelectedTemplate() {
+    return this.templateManager.get(this.elements.templateSelect.value);
   }
 
-  captureFrame() {
-    if (!this.videoManager.isLoaded) return;
+  async applyTemplate(thumbnails) {
+    const template = this.getSelectedTemplate();
+    if (!template || thumbnails.length === 0) return;
     
-    const width = parseInt(this.elements.outputWidth.value);
-    const height = parseInt(this.elements.outputHeight.value);
-    const format = this.elements.exportFormat.value;
-    const quality = parseInt(this.elements.exportQuality.value) / 100;
-    
-    const thumbnail = this.thumbnailGenerator.capture(
-      this.videoManager.video,
-      width,
-      height,
-      format,
-      quality
-    );
+    try {
+      const images = template.layers.filter(layer => layer.type === 'image');
+      await Promise.all(images.map(layer => this.overlayRenderer.loadImage(layer.src).catch(() => null)));
+      
+      await Promise.all(thumbnails.map(thumbnail => {
+        return this.thumbnailGenerator.rerender(thumbnail, this.templateManager.getSettings(template));
+      }));
+    } catch (error) {
+      console.error('Could not apply template:', error);
+      alert(`Could not apply the template "${template.name}": ${error.message}`);
+    }
     
-    this.addThumbnailToGrid(thumbnail);
+    this.renderThumbnailGrid();
     this.updateButtonStates();
+  }
+
+  saveTemplate() {
+    const thumbnail = this.thumbnailGenerator.getSelected();
+    if (!thumbnail) return;
     
-    this.flashCapture();
+    const current = this.getSelectedTemplate();
+    const name = prompt('Template name', current ? current.name : '');
+    if (!name || !name.trim()) return;
+    
+    try {
+      const template = this.templateManager.createFromThumbnail(name, thumbnail);
+      this.renderTemplateOptions(template.id);
+    } catch (error) {
+      console.error('Could not save template:', error);
+      alert('Could not save this template. Large logo layers may not fit in browser storage.');
+    }
   }
 
-  flashCapture() {
-    const flash = document.createElement('div');
-    flash.className = 'fixed inset-0 bg-white pointer-events-none capture-flash z-50';
-    document.body.appendChild(flash);
-    setTimeout(() => flash.remove(), 300);
+  exportTemplate() {
+    const template = this.getSelectedTemplate();
+    if (!template) return;
+    
+    const blob = new Blob([this.templateManager.serialize(template)], { type: 'application/json' });
+    saveAs(blob, `${this.exportManager.sanitizeName(template.name) || 'template'}.json`);
   }
 
-  startAutoCapture() {
-    if (this.autoSnapInterval) {
-      clearInterval(this.autoSnapInterval);
-      this.autoSnapInterval = null;
-      this.elements.autoSnapBtn.textContent = 'Auto Capture';
-      return;
+  async importTemplates(e) {
+    const files = Array.from(e.target.files);
+    e.target.value = '';
+    
+    let imported = [];
+    for (const file of files) {
+      try {
+        imported = imported.concat(this.templateManager.import(await file.text()));
+      } catch (error) {
+        console.error('Could not import template:', error);
+        alert(`Could not import ${file.name}: ${error.message}`);
+      }
     }
     
-    const intervalValue = this.elements.snapInterval.value;
-    const duration = this.videoManager.video.duration;
-    let positions = [];
+    if (imported.length > 0) {
+      this.renderTemplateOptions(imported[imported.length - 1].id);
+    }
+  }
+
+  deleteTemplate() {
+    const template = this.getSelectedTemplate();
+    if (!template || !confirm(`Delete the template "${template.name}"?`)) return;
     
-    if (intervalValue.includes('%')) {
-      const percent = parseFloat(intervalValue) / 100;
-      const step = duration * percent;
-      for (let t = step / 2; t < duration; t += step) {
-        positions.push(t);
-      }
-    } else {
-      const seconds = parseFloat(intervalValue);
-      for (let t = seconds / 2; t < duration; t += seconds) {
-        positions.push(t);
-      }
+    this.templateManager.delete(template.id);
+    this.renderTemplateOptions();
+  }
+
+  async rerenderAll() {
+    const settings = {
+      ...this.getOutputSize(),
+      preset: this.getActivePreset(),
+      format: this.elements.exportFormat.value,
+      quality: parseInt(this.elements.exportQuality.value) / 100
+    };
+    
+    this.elements.rerenderAllBtn.disabled = true;
+    try {
+      await Promise.all(this.thumbnailGenerator.getAll().map(thumbnail => {
+        return this.thumbnailGenerator.rerender(thumbnail, settings);
+      }));
+    } catch (error) {
+      console.error('Could not re-render thumbnails:', error);
+      alert(`Could not re-render all thumbnails: ${error.message}`);
+    } finally {
+      this.renderThumbnailGrid();
+      this.updateButtonStates();
+    }
+  }
+
+  setupSessions() {
+    if (!this.sessionStore.isSupported()) {
+      this.elements.sessionsBtn.classList.add('hidden');
+      return;
     }
     
-    this.clearThumbnails();
-    let index = 0;
+    this.elements.persistInputs.forEach(input => {
+      input.addEventListener('change', () => this.scheduleSave());
+    });
+    this.elements.batchPresets.addEventListener('change', () => this.scheduleSave());
     
-    this.elements.autoSnapBtn.textContent = 'Stop';
+    this.elements.restoreBtn.addEventListener('click', () => this.restoreSession(this.pendingSession));
+    this.elements.restoreManageBtn.addEventListener('click', () => this.openSessionsManager());
+    this.elements.restoreDismissBtn.addEventListener('click', () => {
+      this.elements.restoreBanner.classList.add('hidden');
+    });
+    this.elements.sessionsBtn.addEventListener('click', () => this.openSessionsManager());
+    this.elements.sessionsCloseBtn.addEventListener('click', () => this.closeSessionsManager());
+    this.elements.sessionsModal.addEventListener('click', (e) => {
+      if (e.target === this.elements.sessionsModal) this.closeSessionsManager();
+    });
+    this.elements.sessionsPurgeBtn.addEventListener('click', () => this.purgeSessions());
     
-    const captureNext = () => {
-      if (index >= positions.length) {
-        clearInterval(this.autoSnapInterval);
-        this.autoSnapInterval = null;
-        this.elements.autoSnapBtn.textContent = 'Auto Capture';
-        return;
-      }
-      
-      this.videoManager.seek(positions[index]);
-      setTimeout(() => {
-        this.captureFrame();
-        index++;
-      }, 200);
+    this.sessionStore.listSessions()
+      .then(sessions => {
+        const latest = sessions.find(session => session.count > 0);
+        if (latest) this.offerRestore(latest);
+      })
+      .catch(error => console.error('Could not read saved sessions:', error));
+  }
+
+  setupServiceWorker() {
+    this.serviceWorkerManager.onUpdateCallback = () => {
+      this.elements.updateToast.classList.remove('hidden');
     };
     
-    this.autoSnapInterval = setInterval(captureNext, 400);
-    captureNext();
+    this.elements.updateReloadBtn.addEventListener('click', () => {
+      this.elements.updateReloadBtn.disabled = true;
+      this.serviceWorkerManager.applyUpdate();
+    });
+    this.elements.updateDismissBtn.addEventListener('click', () => {
+      this.elements.updateToast.classList.add('hidden');
+    });
+    
+    this.serviceWorkerManager.register();
   }
 
-  addThumbnailToGrid(thumbnail) {
-    const grid = this.elements.thumbnailsGrid;
+  scheduleSave() {
+    if (!this.sessionStore.isSupported() || this.restoring) return;
     
-    if (this.thumbnailGenerator.getCount() === 1) {
-      grid.innerHTML = '';
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = setTimeout(() => {
+      this.saveChain = this.saveChain.then(() => this.saveSession());
+    }, 500);
+  }
+
+  async saveSession() {
+    const thumbnails = this.thumbnailGenerator.getAll().slice();
+    if (!this.session) {
+      if (thumbnails.length === 0) return;
+      this.session = { id: Date.now(), createdAt: Date.now() };
     }
     
-    const index = this.thumbnailGenerator.thumbnails.indexOf(thumbnail);
+    this.session.source = this.videoManager.source || this.session.source || null;
+    this.session.settings = this.getSettings();
     
-    const item = document.createElement('div');
-    item.className = 'thumbnail-item animate-fade-in';
-    item.dataset.index = index;
+    try {
+      this.session = await this.sessionStore.save(this.session, thumbnails);
+    } catch (error) {
+      console.error('Could not save session:', error);
+    }
+  }
+
+  getSettings() {
+    const inputs = {};
+    this.elements.persistInputs.forEach(input => {
+      inputs[input.id] = input.type === 'checkbox' ? input.checked : input.value;
+    });
     
-    item.innerHTML = `
-      <img src="${thumbnail.dataURL}" alt="Thumbnail at ${thumbnail.time.toFixed(2)}s">
-      <div class="thumb-info">${thumbnail.time.toFixed(2)}s</div>
-      <div class="thumb-remove">×</div>
-    `;
+    const preset = document.querySelector('.preset-btn.active');
+    return {
+      preset: preset ? preset.dataset.preset : null,
+      inputs,
+      batchPresets: Array.from(this.elements.batchPresets.querySelectorAll('input:checked'), input => input.value),
+      adjustments: this.captureAdjustments
+    };
+  }
+
+  applySettings(settings) {
+    if (!settings) return;
     
-    item.addEventListener('click', (e) => {
-      if (!e.target.classList.contains('thumb-remove')) {
-        this.selectThumbnail(index);
+    const preset = Array.from(this.elements.presetBtns).find(btn => btn.dataset.preset === settings.preset);
+    if (preset) this.handlePresetSelect(preset);
+    
+    Object.entries(settings.inputs || {}).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (!input) return;
+      
+      if (input.type === 'checkbox') {
+        input.checked = value;
+      } else {
+        input.value = value;
       }
+      input.dispatchEvent(new Event(input.type === 'range' ? 'input' : 'change'));
     });
     
-    item.querySelector('.thumb-remove').addEventListener('click', () => {
-      this.removeThumbnail(index);
+    this.elements.batchPresets.querySelectorAll('input').forEach(input => {
+      input.checked = (settings.batchPresets || []).includes(input.value);
     });
     
-    grid.appendChild(item);
-    this.elements.thumbCount.textContent = `(${this.thumbnailGenerator.getCount()})`;
+    this.setCaptureAdjustments({ ...this.imageAdjuster.getDefaults(), ...settings.adjustments });
     
-    this.selectThumbnail(index);
+    this.updateRatioDisplay();
   }
 
-  selectThumbnail(index) {
-    document.querySelectorAll('.thumbnail-item').forEach(item => {
-      item.classList.remove('selected');
-    });
+  offerRestore(session) {
+    this.pendingSession = session;
+    this.elements.restoreText.textContent = `${session.count} thumbnail${session.count === 1 ? '' : 's'} from ${this.describeSession(session)}`;
+    this.elements.restoreBanner.classList.remove('hidden');
+  }
+
+  describeSession(session) {
+    const name = session.source ? session.source.name : 'Untitled session';
+    return `${name}, ${new Date(session.updatedAt).toLocaleString()}`;
+  }
+
+  async restoreSession(session) {
+    if (!session) return;
     
-    const item = document.querySelector(`.thumbnail-item[data-index="${index}"]`);
-    if (item) {
-      item.classList.add('selected');
-    }
+    this.elements.restoreBanner.classList.add('hidden');
+    this.closeSessionsManager();
+    this.stopAutoCapture();
+    clearTimeout(this.saveTimeout);
+    this.restoring = true;
     
-    const thumbnail = this.thumbnailGenerator.select(index);
-    if (thumbnail) {
-      this.elements.previewContainer.classList.remove('hidden');
-      this.elements.previewImage.src = thumbnail.dataURL;
+    try {
+      const thumbnails = await this.sessionStore.load(session.id);
+      const images = thumbnails.flatMap(thumbnail => thumbnail.layers.filter(layer => layer.type === 'image'));
+      await Promise.all(images.map(layer => this.overlayRenderer.loadImage(layer.src).catch(() => null)));
       
-      this.videoManager.seek(thumbnail.time);
+      this.thumbnailGenerator.restore(thumbnails);
+      this.galleryHistory.clear();
+      this.session = session;
+      this.applySettings(session.settings);
+      this.restoreSource(session.source);
+      this.renderThumbnailGrid();
+      this.updateButtonStates();
+    } catch (error) {
+      console.error('Could not restore session:', error);
+      alert('Could not restore this session.');
+    } finally {
+      this.restoring = false;
     }
   }
 
-  removeThumbnail(index) {
-    this.thumbnailGenerator.remove(index);
-    this.renderThumbnailGrid();
-    this.updateButtonStates();
+  restoreSource(source) {
+    this.elements.sourceHint.classList.add('hidden');
+    if (!source || this.videoManager.isLoaded) return;
+    
+    if (source.type === 'url' && source.url) {
+      this.elements.sourceUrl.checked = true;
+      this.toggleSourceInput('url');
+      this.elements.videoUrl.value = source.url;
+      this.videoManager.loadFromURL(source.url);
+    } else if (source.type === 'file') {
+      this.elements.sourceFile.checked = true;
+      this.toggleSourceInput('file');
+      this.elements.sourceHint.textContent = `Re-open ${source.name} to keep capturing from it.`;
+      this.elements.sourceHint.classList.remove('hidden');
+    }
   }
 
-  renderThumbnailGrid() {
-    const grid = this.elements.thumbnailsGrid;
-    grid.innerHTML = '';
+  async openSessionsManager() {
+    this.elements.sessionsModal.classList.remove('hidden');
+    await this.renderSessionsList();
+  }
+
+  closeSessionsManager() {
+    this.elements.sessionsModal.classList.add('hidden');
+  }
+
+  isSessionsManagerOpen() {
+    return !this.elements.sessionsModal.classList.contains('hidden');
+  }
+
+  async renderSessionsList() {
+    const list = this.elements.sessionsList;
+    let sessions = [];
+    try {
+      sessions = await this.sessionStore.listSessions();
+    } catch (error) {
+      console.error('Could not read saved sessions:', error);
+    }
     
-    const thumbnails = this.thumbnailGenerator.getAll();
+    list.innerHTML = '';
+    this.elements.sessionsPurgeBtn.disabled = sessions.length === 0;
+    this.elements.sessionsUsage.textContent = `${this.thumbnailGenerator.formatSize(sessions.reduce((sum, session) => sum + (session.bytes || 0), 0))} stored`;
     
-    if (thumbnails.length === 0) {
-      grid.innerHTML = `
-        <div class="col-span-full text-center py-12 text-slate-500">
-          <svg class="w-12 h-12 mx-auto mb-3 opacity-50" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-            <path stroke-linecap="round" stroke-linejoin="round" stroke-width="1" d="M4 16l4.586-4.586a2 2 0 012.828 0L16 16m-2-2l1.586-1.586a2 2 0 012.828 0L20 14m-6-6h.01M6 20h12a2 2 0 002-2V6a2 2 0 00-2-2H6a2 2 0 00-2 2v12a2 2 0 002 2z"></path>
-          </svg>
-          <p>Captured thumbnails will appear here</p>
-        </div>
-      `;
-      this.elements.previewContainer.classList.add('hidden');
+    if (sessions.length === 0) {
+      list.innerHTML = '<p class="text-sm text-slate-500 text-center py-6">No saved sessions</p>';
       return;
     }
     
-    thumbnails.forEach((thumb, index) => {
-      const item = document.createElement('div');
-      item.className = 'thumbnail-item';
-      item.dataset.index = index;
-      
-      if (index === this.thumbnailGenerator.selectedIndex) {
-        item.classList.add('selected');
-      }
-      
-      item.innerHTML = `
-        <img src="${thumb.dataURL}" alt="Thumbnail at ${thumb.time.toFixed(2)}s">
-        <div class="thumb-info">${thumb.time.toFixed(2)}s</div>
-        <div class="thumb-remove">×</div>
+    sessions.forEach(session => {
+      const current = this.session && this.session.id === session.id;
+      const row = document.createElement('div');
+      row.className = 'flex items-center justify-between gap-3 p-3 bg-white/5 rounded-xl';
+      row.innerHTML = `
+        <div class="min-w-0">
+          <p class="session-name text-sm text-white truncate"></p>
+          <p class="text-xs text-slate-500">${session.count} thumbnails · ${this.thumbnailGenerator.formatSize(session.bytes || 0)} · ${new Date(session.updatedAt).toLocaleString()}${current ? ' · current' : ''}</p>
+        </div>
+        <div class="flex gap-2 shrink-0">
+          <button data-session-action="restore" class="overlay-btn"${current ? ' disabled' : ''}>Restore</button>
+          <button data-session-action="delete" class="overlay-btn text-red-400">Delete</button>
+        </div>
       `;
+      row.querySelector('.session-name').textContent = session.source ? session.source.name : 'Untitled session';
       
-      item.addEventListener('click', (e) => {
-        if (!e.target.classList.contains('thumb-remove')) {
-          this.selectThumbnail(index);
-        }
-      });
-      
-      item.querySelector('.thumb-remove').addEventListener('click', () => {
-        this.removeThumbnail(index);
-      });
-      
-      grid.appendChild(item);
+      row.querySelector('[data-session-action="restore"]').addEventListener('click', () => this.restoreSession(session));
+      row.querySelector('[data-session-action="delete"]').addEventListener('click', () => this.deleteSession(session));
+      list.appendChild(row);
     });
-    
-    this.elements.thumbCount.textContent = `(${thumbnails.length})`;
   }
 
-  clearThumbnails() {
-    if (this.autoSnapInterval) {
-      clearInterval(this.autoSnapInterval);
-      this.autoSnapInterval = null;
-      this.elements.autoSnapBtn.textContent = 'Auto Capture';
+  async deleteSession(session) {
+    try {
+      await this.sessionStore.delete(session.id);
+      this.forgetSession(session.id);
+    } catch (error) {
+      console.error('Could not delete session:', error);
+      alert('Could not delete this session.');
     }
-    
-    this.thumbnailGenerator.clear();
-    this.renderThumbnailGrid();
-    this.updateButtonStates();
+    await this.renderSessionsList();
   }
 
-  updateButtonStates() {
-    const count = this.thumbnailGenerator.getCount();
-    const hasSelection = this.thumbnailGenerator.selectedIndex >= 0;
+  async purgeSessions() {
+    if (!confirm('Delete all saved sessions? This cannot be undone.')) return;
     
-    this.elements.saveSelectedBtn.disabled = !hasSelection;
-    this.elements.saveAllBtn.disabled = count === 0;
-    this.elements.clearBtn.disabled = count === 0;
-  }
-
-  saveSelected() {
-    const thumbnail = this.thumbnailGenerator.getSelected();
-    if (thumbnail) {
-      this.exportManager.downloadSingle(thumbnail);
+    try {
+      await this.sessionStore.clear();
+      this.forgetSession(null);
+    } catch (error) {
+      console.error('Could not delete saved sessions:', error);
+      alert('Could not delete the saved sessions.');
     }
+    await this.renderSessionsList();
   }
 
-  saveAll() {
-    const thumbnails = this.thumbnailGenerator.getAll();
-    this.exportManager.downloadAll(thumbnails);
+  forgetSession(id) {
+    if (this.session && (id === null || this.session.id === id)) {
+      this.session = null;
+    }
+    if (this.pendingSession && (id === null || this.pendingSession.id === id)) {
+      this.pendingSession = null;
+      this.elements.restoreBanner.classList.add('hidden');
+    }
   }
 
   formatTime(seconds) {
@@ -0,0 +1,14 @@
+self.addEventListener('message', async (event) => {
+  const { id, bitmap, type, quality } = event.data;
+
+  try {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    const blob = await canvas.convertToBlob({ type, quality });
+    self.postMessage({ id, blob });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+});
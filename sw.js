@@ -0,0 +1,55 @@
+const CACHE_VERSION = 'thumbcraft-v2';
+
+const APP_SHELL = [
+  './',
+  'index.html',
+  'manifest.json',
+  'css/tailwind.css',
+  'css/style.css',
+  'js/app.js',
+  'js/jszip.min.js',
+  'js/filesaver.min.js',
+  'js/gifenc.min.js',
+  'js/encoder.worker.js',
+  'img/favicon.svg',
+  'img/apple-touch-icon.png',
+  'img/og-image.png'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_VERSION).then(cache => cache.addAll(APP_SHELL))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => key !== CACHE_VERSION).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match('index.html').then(cached => cached || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { ignoreSearch: true }).then(cached => cached || fetch(request))
+  );
+});